@@ -2,26 +2,624 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+const { Readable, pipeline } = require('stream');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const STANDARD_RESOLUTIONS = [
+  '1S', '5S', '15S', '30S',
+  '1', '3', '5', '10', '15', '30', '45', '60', '120', '180', '240',
+  '1D', '2D', '3D', '1W', '2W', '1M', '3M', '6M', '12M'
+];
+
+const EXCHANGES = [
+  { value: 'FOREX', name: 'FOREX', desc: 'Foreign Exchange Market' },
+  { value: 'CRYPTO', name: 'CRYPTO', desc: 'Cryptocurrency Exchange' },
+  { value: 'COMMODITIES', name: 'COMMODITIES', desc: 'Commodities Market' },
+  { value: 'INDEX', name: 'INDEX', desc: 'Stock Market Indices' },
+  { value: 'NSE', name: 'NSE', desc: 'National Stock Exchange of India' },
+  { value: 'NYSE', name: 'NYSE', desc: 'New York Stock Exchange' },
+  { value: 'NASDAQ', name: 'NASDAQ', desc: 'NASDAQ Stock Market' }
+];
+
+const SYMBOL_TYPES = [
+  { name: 'All types', value: '' },
+  { name: 'Forex', value: 'forex' },
+  { name: 'Crypto', value: 'crypto' },
+  { name: 'Commodity', value: 'commodity' },
+  { name: 'Index', value: 'index' },
+  { name: 'Stock', value: 'stock' }
+];
+
+const DATA_STATUSES = ['streaming', 'endofday', 'pulsed', 'delayed_streaming'];
+
+const QUALITY_POLICY = {
+  missing_field: 'forward_fill',
+  zero_price: 'drop',
+  ohlc_inconsistent: 'fix',
+  duplicate: 'keep_last',
+  spike: 'flag',
+  spike_multiplier: 20,
+  gap: 'flag'
+};
+
+const QUALITY_ACTIONS = {
+  missing_field: ['drop', 'fix', 'forward_fill'],
+  zero_price: ['drop', 'fix', 'forward_fill'],
+  ohlc_inconsistent: ['drop', 'fix', 'flag'],
+  duplicate: ['keep_first', 'keep_last'],
+  spike: ['drop', 'forward_fill', 'flag'],
+  gap: ['forward_fill', 'flag']
+};
+
+const GENERATOR_MODELS = ['gbm', 'ou', 'jump', 'random_walk'];
+
+const GENERATOR_PARAMS = {
+  base_price: 'basePrice',
+  volatility: 'volatility',
+  drift: 'drift',
+  mean_reversion: 'meanReversion',
+  mean_price: 'meanPrice',
+  jump_intensity: 'jumpIntensity',
+  jump_mean: 'jumpMean',
+  jump_volatility: 'jumpVolatility',
+  volume: 'volume'
+};
+
+const SECONDS_PER_YEAR = 365 * 86400;
+
+const CURRENCY_PEGS = { USDT: 'USD', USDC: 'USD' };
+
+const EXCHANGE_CURRENCIES = { NSE: 'INR', NYSE: 'USD', NASDAQ: 'USD' };
+
+const UNITS = {
+  weight: [
+    { id: 'troy_ounce', name: 'Troy ounce', description: 'Troy ounce', factor: 1 },
+    { id: 'gram', name: 'Gram', description: 'Gram', factor: 1 / 31.1034768 },
+    { id: 'kilogram', name: 'Kilogram', description: 'Kilogram', factor: 1000 / 31.1034768 }
+  ],
+  volume: [
+    { id: 'barrel', name: 'Barrel', description: 'US oil barrel', factor: 1 },
+    { id: 'liter', name: 'Liter', description: 'Liter', factor: 1 / 158.987294928 },
+    { id: 'cubic_meter', name: 'Cubic meter', description: 'Cubic meter', factor: 1000 / 158.987294928 }
+  ]
+};
+
+const INDICATORS = {
+  sma: { params: [{ name: 'period', default: 20, integer: true }] },
+  ema: { params: [{ name: 'period', default: 20, integer: true }] },
+  rsi: { params: [{ name: 'period', default: 14, integer: true }] },
+  macd: {
+    params: [
+      { name: 'fast period', default: 12, integer: true },
+      { name: 'slow period', default: 26, integer: true },
+      { name: 'signal period', default: 9, integer: true }
+    ],
+    outputs: ['macd', 'signal', 'histogram']
+  },
+  bbands: {
+    params: [{ name: 'period', default: 20, integer: true }, { name: 'multiplier', default: 2 }],
+    outputs: ['upper', 'middle', 'lower']
+  },
+  atr: { params: [{ name: 'period', default: 14, integer: true }] },
+  vwap: { params: [] }
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+const EXPORT_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+const MAX_EXPORT_SYMBOLS = 20;
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const ROLES = ['viewer', 'admin'];
+
+const PUBLIC_ROUTES = ['/health', '/favicon.ico'];
+
+const ADMIN_ROUTES = [/^\/admin(\/|$)/, /^\/debug(\/|$)/, /^\/data(\/|$)/, /^\/(replay\/)?cache(\/|$)/, /^\/metrics$/];
+
+const RATE_LIMIT_BUDGETS = {
+  history: { rps: 10, burst: 50, concurrency: 4 },
+  quotes: { rps: 5, burst: 20, concurrency: 2 },
+  admin: { rps: 2, burst: 20, concurrency: 2 },
+  default: { rps: 20, burst: 100, concurrency: 8 }
+};
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+const BODY_LIMIT = process.env.BODY_LIMIT || '50mb';
+
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+function validateRateLimits(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return ['rate_limits must be an object'];
+
+  const errors = [];
+  for (const [budget, limits] of Object.entries(value)) {
+    if (!RATE_LIMIT_BUDGETS[budget]) {
+      errors.push(`unknown rate limit budget ${budget} (expected ${Object.keys(RATE_LIMIT_BUDGETS).join(', ')})`);
+      continue;
+    }
+    for (const [field, limit] of Object.entries(limits || {})) {
+      if (!['rps', 'burst', 'concurrency'].includes(field)) {
+        errors.push(`rate_limits.${budget}.${field} is not a rate limit setting`);
+      } else if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0) {
+        errors.push(`rate_limits.${budget}.${field} must be a non-negative number`);
+      }
+    }
+  }
+  return errors;
+}
+
+function getRateLimitBudgets(env) {
+  const budgets = {};
+  for (const [budget, defaults] of Object.entries(RATE_LIMIT_BUDGETS)) {
+    budgets[budget] = {};
+    for (const [field, value] of Object.entries(defaults)) {
+      const configured = parseFloat(env[`RATE_LIMIT_${budget.toUpperCase()}_${field.toUpperCase()}`]);
+      budgets[budget][field] = Number.isFinite(configured) && configured >= 0 ? configured : value;
+    }
+  }
+  return budgets;
+}
+
+function writeJsonAtomic(filePath, data, space = 2) {
+  let eol = '\n';
+  try {
+    if (fs.readFileSync(filePath, 'utf8').includes('\r\n')) eol = '\r\n';
+  } catch (error) {
+    // New file, keep the default line ending
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, space).replace(/\n/g, eol) + eol);
+  fs.renameSync(tempPath, filePath);
+}
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'string' && !/^\d+$/.test(value)
+    ? new Date(value).getTime() / 1000
+    : parseFloat(value);
+  if (!Number.isFinite(time)) return null;
+  return Math.floor(time > 1e10 ? time / 1000 : time);
+}
+
+class Logger {
+  constructor(options = {}, fields = {}) {
+    this.level = LOG_LEVELS[options.level] !== undefined ? options.level : 'info';
+    this.format = options.format === 'pretty' ? 'pretty' : 'json';
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format }, { ...this.fields, ...fields });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? value.message : value;
+    }
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    if (this.format === 'pretty') {
+      const { time, level: entryLevel, msg, ...rest } = entry;
+      const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${details}\n`);
+    } else {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+class MetricsRegistry {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(type, name, help, labelNames = [], buckets = null) {
+    const metric = { type, name: `${this.prefix}${name}`, help, labelNames, buckets, series: new Map() };
+    this.metrics.set(name, metric);
+
+    const getSeries = (labels = {}) => {
+      const values = labelNames.map(label => String(labels[label] !== undefined ? labels[label] : ''));
+      const key = values.join('\u0000');
+      if (!metric.series.has(key)) {
+        metric.series.set(key, type === 'histogram'
+          ? { values, counts: buckets.map(() => 0), sum: 0, count: 0 }
+          : { values, value: 0 });
+      }
+      return metric.series.get(key);
+    };
+
+    return {
+      inc: (labels, value = 1) => { getSeries(labels).value += value; },
+      set: (labels, value) => { getSeries(labels).value = value; },
+      observe: (labels, value) => {
+        const series = getSeries(labels);
+        buckets.forEach((bound, index) => { if (value <= bound) series.counts[index]++; });
+        series.sum += value;
+        series.count++;
+      },
+      reset: () => metric.series.clear()
+    };
+  }
+
+  counter(name, help, labelNames) {
+    return this.register('counter', name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register('gauge', name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames, buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    return this.register('histogram', name, help, labelNames, buckets);
+  }
+
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, index) =>
+      `${name}="${values[index].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  render() {
+    for (const collect of this.collectors) collect();
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${this.formatLabels(metric.labelNames, series.values)} ${series.value}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${this.formatLabels(metric.labelNames, series.values, `le="${bound}"`)} ${series.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${this.formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+        lines.push(`${metric.name}_sum${this.formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+        lines.push(`${metric.name}_count${this.formatLabels(metric.labelNames, series.values)} ${series.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+const metrics = new MetricsRegistry('datafeed_');
+const requestDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status']);
+const barsServed = metrics.counter('bars_served_total', 'Bars returned by history endpoints', ['symbol', 'resolution']);
+const dataLoadErrors = metrics.counter('data_load_errors_total', 'Errors while loading symbol, bar, event or key files', ['source', 'symbol']);
+
+class SyntheticGenerator {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.seed = options.seed !== undefined && options.seed !== '' ? options.seed : null;
+    this.endTime = parseTimestamp(options.endTime);
+    this.barsPerSeries = options.bars || 10000;
+    this.substeps = 4;
+  }
+
+  createRandom(seed) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+      state = Math.imul(state ^ char.charCodeAt(0), 0x01000193);
+    }
+
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  normal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  poisson(lambda, random) {
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+      count++;
+      product *= random();
+    }
+    return count;
+  }
+
+  getSeasonality(symbol, time, intervalSeconds, profile) {
+    if (!profile.seasonality || intervalSeconds >= 86400) return 1;
+
+    const info = this.store.symbols[symbol] || {};
+    const session = this.store.parseSession(info.session);
+
+    if (session.allDay) {
+      const hour = (time % 86400) / 3600;
+      return 0.75 + 0.85 * Math.exp(-Math.pow((hour - 14) / 4, 2));
+    }
+
+    if (!this.store.isInSession(symbol, time)) return 0.3;
+
+    const first = session.segments[0];
+    const last = session.segments[session.segments.length - 1];
+    const length = ((last.end - first.start + 1440) % 1440 || 1440) * 60;
+    const elapsed = Math.min(Math.max((time - this.store.getSessionStart(symbol, time)) / length, 0), 1);
+    return 0.5 + 1.5 * Math.pow(2 * elapsed - 1, 2);
+  }
+
+  step(logPrice, dtSeconds, profile, random, seasonality = 1) {
+    const dt = dtSeconds / SECONDS_PER_YEAR;
+    const sigma = profile.volatility * Math.sqrt(seasonality);
+    const diffusion = sigma * Math.sqrt(dt) * this.normal(random);
+
+    switch (profile.model) {
+      case 'ou':
+        return logPrice + profile.meanReversion * (Math.log(profile.meanPrice) - logPrice) * dt + diffusion;
+      case 'jump': {
+        const intensity = profile.jumpIntensity * 365;
+        const compensator = Math.exp(profile.jumpMean + profile.jumpVolatility * profile.jumpVolatility / 2) - 1;
+        const jumps = this.poisson(intensity * dt, random);
+        const jump = jumps > 0
+          ? jumps * profile.jumpMean + Math.sqrt(jumps) * profile.jumpVolatility * this.normal(random)
+          : 0;
+        return logPrice + (profile.drift - sigma * sigma / 2 - intensity * compensator) * dt + diffusion + jump;
+      }
+      case 'random_walk':
+        return logPrice + Math.log(1 + (random() - 0.5) * 2 * sigma * Math.sqrt(3 * dt));
+      default:
+        return logPrice + (profile.drift - sigma * sigma / 2) * dt + diffusion;
+    }
+  }
+
+  generateVolume(profile, seasonality, random = Math.random) {
+    return Math.max(1, Math.round(profile.volume * seasonality * Math.exp(0.35 * this.normal(random) - 0.06125)));
+  }
+
+  generateBar(symbol, openPrice, time, intervalSeconds, profile = this.store.getSymbolProfile(symbol), random = Math.random) {
+    const seasonality = this.getSeasonality(symbol, time, intervalSeconds, profile);
+    let logPrice = Math.log(openPrice);
+    let high = openPrice;
+    let low = openPrice;
+
+    for (let i = 0; i < this.substeps; i++) {
+      logPrice = this.step(logPrice, intervalSeconds / this.substeps, profile, random, seasonality);
+      const price = Math.exp(logPrice);
+      if (price > high) high = price;
+      if (price < low) low = price;
+    }
+
+    const round = (value) => parseFloat(value.toFixed(profile.decimalPlaces));
+    return {
+      time,
+      open: round(openPrice),
+      high: round(high),
+      low: round(low),
+      close: round(Math.exp(logPrice)),
+      volume: this.generateVolume(profile, seasonality, random)
+    };
+  }
 
-class DataStore {
-  constructor() {
+  generateSeries(symbol, resolution) {
+    const profile = this.store.getSymbolProfile(symbol);
+    const normalized = this.store.normalizeResolution(resolution);
+    const intervalSeconds = this.store.parseResolution(normalized).seconds;
+    const seed = profile.seed !== null ? profile.seed : this.seed;
+    const random = this.createRandom(seed !== null ? `${seed}:${symbol}:${normalized}` : null);
+    const endTime = profile.endTime || this.endTime || Math.floor(Date.now() / 1000);
+
+    const bars = [];
+    let price = profile.basePrice;
+    let time = Math.floor(endTime / intervalSeconds) * intervalSeconds - (this.barsPerSeries * intervalSeconds);
+
+    for (let i = 0; i < this.barsPerSeries; i++) {
+      const bar = this.generateBar(symbol, price, time, intervalSeconds, profile, random);
+      bars.push(bar);
+      price = bar.close;
+      time += intervalSeconds;
+    }
+
+    return bars;
+  }
+}
+
+class HistoryCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+    this.ttlSeconds = options.ttlSeconds || 300;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.stats.hits++;
+    return entry.data;
+  }
+
+  set(key, symbol, data, toTime = Infinity, dependencies = []) {
+    const bytes = Buffer.byteLength(JSON.stringify(data));
+    if (bytes > this.maxBytes) return false;
+
+    this.delete(key);
+    const now = Date.now();
+    this.entries.set(key, {
+      symbol,
+      dependencies,
+      toTime,
+      data,
+      bytes,
+      hits: 0,
+      cachedAt: now,
+      expiresAt: now + this.ttlSeconds * 1000
+    });
+    this.bytes += bytes;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.bytes -= entry.bytes;
+    this.entries.delete(key);
+    return true;
+  }
+
+  invalidate(symbol, since = -Infinity) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      const affected = entry.symbol === symbol || entry.dependencies.includes(symbol);
+      if (affected && entry.toTime >= since && this.delete(key)) removed++;
+    }
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return removed;
+  }
+
+  count(symbol) {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.symbol === symbol) count++;
+    }
+    return count;
+  }
+
+  describe() {
+    const entries = {};
+    for (const [key, entry] of this.entries) {
+      entries[key] = {
+        symbol: entry.symbol,
+        bars_count: entry.data.t ? entry.data.t.length : 0,
+        hits: entry.hits,
+        cached_at: new Date(entry.cachedAt).toISOString(),
+        expires_at: new Date(entry.expiresAt).toISOString(),
+        size_kb: Math.round(entry.bytes / 1024 * 100) / 100
+      };
+    }
+    return entries;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      size_mb: Math.round(this.bytes / (1024 * 1024) * 100) / 100,
+      max_size_mb: Math.round(this.maxBytes / (1024 * 1024) * 100) / 100,
+      ttl_seconds: this.ttlSeconds,
+      ...this.stats,
+      hit_rate: lookups > 0 ? parseFloat((this.stats.hits / lookups).toFixed(4)) : 0
+    };
+  }
+}
+
+class DataStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.symbolsPath = path.join(__dirname, 'data/symbols.json');
     this.symbols = this.loadSymbolsConfig();
     this.historicalData = {};
+    this.sourceData = {};
+    this.aggregates = {};
+    this.generatedSources = new Set();
+    this.loadReports = {};
+    this.qualityReports = {};
     this.baseTimeframe = 5;
-    this.replayCache = {};
+    this.cache = new HistoryCache(options.cache);
+    this.generator = new SyntheticGenerator(this, options.generator);
+    this.derived = new Map();
+    this.maxTransientSymbols = options.maxTransientSymbols || 100;
+    this.inUseChecks = [];
+    this.on('bar', (symbol) => this.updateDerived(symbol));
+    this.on('data', (symbol) => this.rebuildDerived(symbol));
     this.loadHistoricalData();
   }
 
   loadSymbolsConfig() {
     try {
-      const data = fs.readFileSync(path.join(__dirname, 'data/symbols.json'), 'utf8');
+      const data = fs.readFileSync(this.symbolsPath, 'utf8');
       return JSON.parse(data);
     } catch (error) {
-      console.error('symbols.json not found, using default symbols');
+      logger.warn('symbols.json not readable, using default symbols', { file: this.symbolsPath, error });
+      if (error.code !== 'ENOENT') dataLoadErrors.inc({ source: 'symbols' });
       return {
         'EURUSD': {
           name: 'Euro / US Dollar',
@@ -40,285 +638,3619 @@ class DataStore {
     }
   }
 
-  loadHistoricalData() {
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-      console.log(`Data directory not found, generating sample data`);
-      this.generateSampleData();
-      return;
+  loadHistoricalData() {
+    const dataDir = path.join(__dirname, 'data');
+    if (!fs.existsSync(dataDir)) {
+      logger.info('Data directory not found, generating sample data', { dir: dataDir });
+      this.generateSampleData();
+      return;
+    }
+
+    const symbols = Object.keys(this.symbols);
+    for (const symbol of symbols.filter(s => !this.symbols[s].expression)) {
+      this.loadSymbolData(symbol);
+    }
+    for (const symbol of symbols.filter(s => this.symbols[s].expression)) {
+      this.loadSymbolData(symbol);
+    }
+  }
+
+  loadSymbolData(symbol) {
+    const dataDir = path.join(__dirname, 'data');
+    const nativeResolutions = this.getNativeResolutions(symbol);
+
+    delete this.historicalData[symbol];
+    delete this.sourceData[symbol];
+    for (const key of this.generatedSources) {
+      if (key.startsWith(`${symbol}_`)) this.generatedSources.delete(key);
+    }
+
+    this.loadReports[symbol] = {};
+    this.qualityReports[symbol] = {};
+
+    this.derived.delete(symbol);
+    if (this.symbols[symbol].expression) {
+      try {
+        this.registerDerivedSymbol(symbol, this.parseExpression(this.symbols[symbol].expression));
+        logger.info('Built derived symbol', {
+          symbol,
+          expression: this.symbols[symbol].expression,
+          bars: this.historicalData[symbol].length
+        });
+      } catch (error) {
+        this.loadReports[symbol] = { expression: { error: error.message } };
+        dataLoadErrors.inc({ source: 'derived', symbol });
+        logger.error('Failed to build derived symbol', { symbol, expression: this.symbols[symbol].expression, error });
+      }
+      return;
+    }
+
+    nativeResolutions.forEach((resolution, index) => {
+      const baseNames = [`${symbol}_${resolution}`];
+      if (index === 0) baseNames.push(symbol);
+
+      const fileName = this.findSourceFile(dataDir, baseNames);
+      if (!fileName) return;
+
+      try {
+        const { items, rowOffset, format } = this.readSourceFile(path.join(dataDir, fileName), this.getImportOptions(symbol));
+        const { bars: parsedBars, rejected } = this.parseBars(items, rowOffset);
+        const { bars, report } = this.validateBars(symbol, parsedBars, resolution);
+        this.setSourceData(symbol, resolution, bars);
+        this.qualityReports[symbol][resolution] = report;
+        this.loadReports[symbol][resolution] = {
+          file: fileName,
+          format,
+          rows: items.length,
+          loaded: bars.length,
+          dropped: rejected.length,
+          dropped_rows: rejected.slice(0, 50),
+          quality_dropped: report.dropped
+        };
+
+        logger.info('Loaded bars', {
+          symbol,
+          resolution,
+          file: fileName,
+          bars: bars.length,
+          dropped: rejected.length + report.dropped
+        });
+      } catch (error) {
+        this.loadReports[symbol][resolution] = { file: fileName, error: error.message };
+        dataLoadErrors.inc({ source: 'bars', symbol });
+        logger.error('Failed to load bars', { symbol, resolution, file: fileName, error });
+      }
+    });
+
+    if (!this.historicalData[symbol]) {
+      logger.info('No data file, generating sample data', { symbol });
+      this.generateSampleDataForSymbol(symbol);
+    }
+  }
+
+  findSourceFile(dataDir, baseNames) {
+    const extensions = ['.json', '.ndjson', '.jsonl', '.csv', '.tsv'];
+    for (const baseName of baseNames) {
+      for (const extension of extensions) {
+        for (const suffix of ['', '.gz']) {
+          const fileName = `${baseName}${extension}${suffix}`;
+          if (fs.existsSync(path.join(dataDir, fileName))) return fileName;
+        }
+      }
+    }
+    return null;
+  }
+
+  readSourceFile(filePath, options = {}) {
+    let content = fs.readFileSync(filePath);
+    let fileName = path.basename(filePath).toLowerCase();
+
+    if (fileName.endsWith('.gz')) {
+      content = zlib.gunzipSync(content);
+      fileName = fileName.slice(0, -3);
+    }
+
+    const format = path.extname(fileName).slice(1);
+    return { format, ...this.parseSourceText(content.toString('utf8'), format, options) };
+  }
+
+  parseSourceText(text, format, options = {}) {
+    if (format === 'ndjson' || format === 'jsonl') {
+      return { items: this.parseNdjson(text), rowOffset: 1 };
+    }
+    if (format === 'csv' || format === 'tsv' || format === 'txt') {
+      const csvOptions = format === 'tsv' && !options.delimiter ? { ...options, delimiter: '\t' } : options;
+      return { items: this.parseCsv(text, csvOptions), rowOffset: csvOptions.has_header === false ? 1 : 2 };
+    }
+
+    const items = this.collectBarItems(JSON.parse(text));
+    if (!options.timezone && !options.date_format) return { items, rowOffset: 1 };
+
+    return {
+      items: items.map(item => {
+        const value = item && (item.time || item.timestamp || item.t || item.date);
+        if (typeof value !== 'string') return item;
+        const time = this.parseDateTime(value, options.date_format, options.timezone);
+        return time === null ? new Error(`unparseable date "${value}"`) : { ...item, time };
+      }),
+      rowOffset: 1
+    };
+  }
+
+  parseNdjson(text) {
+    return text.split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return new Error('malformed JSON line');
+        }
+      });
+  }
+
+  getImportOptions(symbol, overrides = {}) {
+    const info = this.symbols[symbol] || {};
+    const options = { ...(info.import || {}) };
+    for (const field of ['delimiter', 'date_format', 'timezone']) {
+      if (overrides[field]) options[field] = overrides[field];
+    }
+    return options;
+  }
+
+  parseDateTime(value, format, timezone = 'UTC') {
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+      const number = parseFloat(value);
+      if (format === 'unix_ms' || (format !== 'unix' && number > 1e10)) return Math.floor(number / 1000);
+      return Math.floor(number);
+    }
+
+    const text = String(value).trim();
+    let parts = null;
+
+    if (format && format !== 'unix' && format !== 'unix_ms') {
+      const tokens = { YYYY: '(\\d{4})', MM: '(\\d{1,2})', DD: '(\\d{1,2})', HH: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})', SSS: '(\\d{1,3})' };
+      const order = [];
+      const pattern = format.replace(/YYYY|MM|DD|HH|mm|ss|SSS|[^A-Za-z]/g, (token) => {
+        if (tokens[token]) {
+          order.push(token);
+          return tokens[token];
+        }
+        return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      });
+
+      const match = new RegExp(`^${pattern}$`).exec(text);
+      if (!match) return null;
+
+      parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+      order.forEach((token, i) => { parts[token] = parseInt(match[i + 1]); });
+    } else {
+      let match = /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+      if (match) {
+        parts = { YYYY: +match[1], MM: +match[2], DD: +match[3], HH: +(match[4] || 0), mm: +(match[5] || 0), ss: +(match[6] || 0), SSS: +(match[7] || 0) };
+      } else {
+        match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+        if (!match) {
+          const parsed = new Date(text).getTime();
+          return Number.isFinite(parsed) ? Math.floor(parsed / 1000) : null;
+        }
+        parts = { YYYY: +match[3], MM: +match[2], DD: +match[1], HH: +(match[4] || 0), mm: +(match[5] || 0), ss: +(match[6] || 0), SSS: 0 };
+      }
+
+      if (match[8]) {
+        const local = Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss) / 1000;
+        if (match[8] === 'Z') return local;
+        const sign = match[8][0] === '-' ? -1 : 1;
+        const digits = match[8].replace(/[^\d]/g, '');
+        return local - sign * (parseInt(digits.slice(0, 2)) * 3600 + parseInt(digits.slice(2, 4)) * 60);
+      }
+    }
+
+    if (parts.MM < 1 || parts.MM > 12 || parts.DD < 1 || parts.DD > 31 || parts.HH > 23 || parts.mm > 59 || parts.ss > 59) {
+      return null;
+    }
+
+    const local = Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss) / 1000;
+    const offset = this.getTimezoneOffset(timezone, local - this.getTimezoneOffset(timezone, local));
+    return local - offset;
+  }
+
+  commitSymbols(symbols) {
+    const persisted = Object.fromEntries(Object.entries(symbols)
+      .filter(([symbol]) => !this.isTransient(symbol)));
+    writeJsonAtomic(this.symbolsPath, persisted);
+    this.symbols = symbols;
+  }
+
+  // Unknown expressions are registered as ad-hoc derived symbols unless options.create is false.
+  resolveSymbol(name, options = {}) {
+    const value = String(name || '').trim().toUpperCase();
+    if (!value) return null;
+
+    const separator = value.lastIndexOf(':');
+    const exchange = separator > 0 ? value.slice(0, separator) : null;
+    const ticker = separator >= 0 ? value.slice(separator + 1) : value;
+
+    if (this.aliasIndexFor !== this.symbols) {
+      this.aliasIndex = new Map();
+      for (const [symbol, info] of Object.entries(this.symbols)) {
+        for (const alias of info.aliases || []) this.aliasIndex.set(alias.toUpperCase(), symbol);
+      }
+      this.aliasIndexFor = this.symbols;
+    }
+
+    const symbol = this.symbols[ticker] ? ticker : this.aliasIndex.get(ticker);
+    if (!symbol) return options.create !== false && this.isExpression(value) ? this.resolveExpression(value) : null;
+    if (exchange && this.symbols[symbol].exchange.toUpperCase() !== exchange) return null;
+    return symbol;
+  }
+
+  searchSymbols(query, options = {}) {
+    let text = String(query || '').trim().toUpperCase();
+    let exchange = (options.exchange || '').toUpperCase();
+
+    // Tickers such as BRK-B or EUR/USD look like expressions; rank them normally when they do not parse.
+    if (this.isExpression(text)) {
+      const symbol = this.resolveSymbol(text);
+      if (symbol) return [{ symbol, info: this.symbols[symbol], score: 100, order: 0 }];
+    }
+
+    const separator = text.indexOf(':');
+    if (separator > 0) {
+      exchange = exchange || text.slice(0, separator);
+      text = text.slice(separator + 1);
+    }
+
+    const results = [];
+    this.getListedSymbols().forEach((symbol, order) => {
+      const info = this.symbols[symbol];
+      if (options.type && info.type !== options.type) return;
+      if (exchange && info.exchange.toUpperCase() !== exchange) return;
+
+      const score = text ? this.scoreSymbol(text, symbol, info) : 1;
+      if (score > 0) results.push({ symbol, info, score, order });
+    });
+
+    return results.sort((a, b) => b.score - a.score ||
+      (text ? a.symbol.length - b.symbol.length : 0) ||
+      a.order - b.order);
+  }
+
+  scoreSymbol(query, symbol, info) {
+    const tickers = [symbol, ...(info.aliases || []).map(alias => alias.toUpperCase())];
+    const name = (info.name || '').toUpperCase();
+    const labels = [...(info.tags || []), info.sector || ''].map(label => label.toUpperCase()).filter(Boolean);
+    const words = [...name.split(/[^A-Z0-9]+/), ...labels.flatMap(label => label.split(/[^A-Z0-9]+/))].filter(Boolean);
+
+    if (tickers.includes(query)) return 100;
+    if (tickers.some(ticker => ticker.startsWith(query))) return 90;
+    if (name === query || labels.includes(query)) return 85;
+    if (name.startsWith(query)) return 80;
+    if (words.some(word => word.startsWith(query))) return 70;
+    if (tickers.some(ticker => ticker.includes(query))) return 60;
+    if (name.includes(query) || labels.some(label => label.includes(query))) return 50;
+
+    if (query.length >= 3 && tickers.some(ticker => this.isSubsequence(query, ticker))) return 40;
+
+    const maxDistance = query.length <= 4 ? 1 : 2;
+    const distance = Math.min(...[...tickers, ...words].map(candidate =>
+      this.editDistance(query, candidate.slice(0, query.length + maxDistance), maxDistance)));
+    if (query.length >= 3 && distance <= maxDistance) return 30 - distance * 5;
+
+    return 0;
+  }
+
+  isSubsequence(query, value) {
+    let index = 0;
+    for (const char of value) {
+      if (char === query[index]) index++;
+      if (index === query.length) return true;
+    }
+    return false;
+  }
+
+  editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    let beforePrevious = null;
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  isDerived(symbol) {
+    return this.derived.has(symbol);
+  }
+
+  isTransient(symbol) {
+    return this.derived.has(symbol) && this.derived.get(symbol).transient;
+  }
+
+  // Symbols a client can discover; ad-hoc expressions stay private to their requester.
+  getListedSymbols() {
+    return Object.keys(this.symbols).filter(symbol => !this.isTransient(symbol));
+  }
+
+  isExpression(value) {
+    return /[-+*/()]/.test(value);
+  }
+
+  parseExpression(text) {
+    const source = String(text || '').trim();
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z][A-Za-z0-9._]*(?::[A-Za-z0-9._]+)?)|([-+*/()]))/y;
+    const tokens = [];
+
+    let position = 0;
+    while (position < source.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (!match) throw new Error(`Unexpected character "${source[position]}" at position ${position + 1}`);
+      position = pattern.lastIndex;
+
+      if (match[1]) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]), text: match[1] });
+      } else if (match[2]) {
+        const symbol = this.resolveSymbol(match[2], { create: false });
+        if (!symbol) throw new Error(`Unknown symbol ${match[2].toUpperCase()}`);
+        if (this.isDerived(symbol) || this.symbols[symbol].expression) {
+          throw new Error(`${symbol} is a derived symbol and cannot be used in an expression`);
+        }
+        tokens.push({ type: 'symbol', symbol, text: symbol });
+      } else {
+        tokens.push({ type: 'operator', value: match[3], text: match[3] });
+      }
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const isOperator = (token, values) => token && token.type === 'operator' && values.includes(token.value);
+
+    const parseSum = () => {
+      let node = parseProduct();
+      while (isOperator(peek(), ['+', '-'])) {
+        const operator = tokens[index++].value;
+        node = { type: 'binary', operator, left: node, right: parseProduct() };
+      }
+      return node;
+    };
+
+    const parseProduct = () => {
+      let node = parseFactor();
+      while (isOperator(peek(), ['*', '/'])) {
+        const operator = tokens[index++].value;
+        node = { type: 'binary', operator, left: node, right: parseFactor() };
+      }
+      return node;
+    };
+
+    const parseFactor = () => {
+      const token = tokens[index++];
+      if (!token) throw new Error('Unexpected end of expression');
+      if (isOperator(token, ['-'])) return { type: 'negate', operand: parseFactor() };
+      if (isOperator(token, ['('])) {
+        const node = parseSum();
+        if (!isOperator(tokens[index++], [')'])) throw new Error('Missing closing parenthesis');
+        return node;
+      }
+      if (token.type === 'operator') throw new Error(`Unexpected "${token.value}"`);
+      return token;
+    };
+
+    const ast = parseSum();
+    if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].text}"`);
+
+    const constituents = [...new Set(tokens.filter(token => token.type === 'symbol').map(token => token.symbol))];
+    if (constituents.length === 0) throw new Error('Expression must reference at least one symbol');
+
+    return { ast, constituents, canonical: tokens.map(token => token.text).join('') };
+  }
+
+  evaluateExpression(node, values) {
+    switch (node.type) {
+      case 'number': return node.value;
+      case 'symbol': return values[node.symbol];
+      case 'negate': return -this.evaluateExpression(node.operand, values);
+      default: {
+        const left = this.evaluateExpression(node.left, values);
+        const right = this.evaluateExpression(node.right, values);
+        if (node.operator === '+') return left + right;
+        if (node.operator === '-') return left - right;
+        if (node.operator === '*') return left * right;
+        return left / right;
+      }
+    }
+  }
+
+  resolveExpression(text) {
+    let parsed;
+    try {
+      parsed = this.parseExpression(text.replace(/^DERIVED:/, ''));
+    } catch (error) {
+      return null;
+    }
+
+    const symbol = parsed.canonical;
+    if (this.symbols[symbol]) return symbol;
+
+    const transient = [...this.derived.entries()].filter(([, derived]) => derived.transient);
+    if (transient.length >= this.maxTransientSymbols) {
+      const unused = transient.find(([candidate]) => !this.isInUse(candidate));
+      if (!unused) return null;
+      this.removeDerived(unused[0]);
+    }
+
+    const infos = parsed.constituents.map(constituent => this.symbols[constituent]);
+    const shared = (field) => infos.every(info => info[field] === infos[0][field]) ? infos[0][field] : null;
+    this.symbols[symbol] = {
+      name: symbol,
+      exchange: 'DERIVED',
+      type: 'index',
+      session: shared('session') || '24x7',
+      timezone: shared('session') && shared('timezone') ? shared('timezone') : 'UTC',
+      minmov: 1,
+      pricescale: Math.max(10000, ...infos.map(info => info.pricescale || 100)),
+      has_intraday: infos.every(info => info.has_intraday !== false),
+      has_daily: infos.every(info => info.has_daily !== false),
+      has_weekly_and_monthly: infos.every(info => info.has_weekly_and_monthly !== false),
+      data_status: 'streaming',
+      expression: symbol
+    };
+
+    this.registerDerivedSymbol(symbol, parsed, true);
+    logger.debug('Registered derived symbol', { symbol, constituents: parsed.constituents, transient: true });
+    return symbol;
+  }
+
+  // Replay sessions and stream subscriptions report the symbols they hold so eviction skips them.
+  addInUseCheck(check) {
+    this.inUseChecks.push(check);
+  }
+
+  isInUse(symbol) {
+    return this.inUseChecks.some(check => check(symbol));
+  }
+
+  registerDerivedSymbol(symbol, parsed, transient = false) {
+    this.derived.set(symbol, { ...parsed, transient });
+    this.buildDerivedSeries(symbol);
+  }
+
+  removeDerived(symbol) {
+    const derived = this.derived.get(symbol);
+    if (!derived) return;
+
+    this.derived.delete(symbol);
+    if (derived.transient) delete this.symbols[symbol];
+    this.removeSymbolData(symbol);
+  }
+
+  getDerivedDependents(symbol) {
+    return [...this.derived.entries()]
+      .filter(([, derived]) => derived.constituents.includes(symbol))
+      .map(([dependent, derived]) => ({ symbol: dependent, transient: derived.transient }));
+  }
+
+  buildDerivedSeries(symbol) {
+    const derived = this.derived.get(symbol);
+    const resolution = derived.constituents
+      .map(constituent => this.historicalData[constituent] ? this.getBaseResolution(constituent) : null)
+      .reduce((coarsest, candidate) => !candidate || !coarsest
+        ? null
+        : (this.parseResolution(candidate).seconds > this.parseResolution(coarsest).seconds ? candidate : coarsest));
+
+    const bars = [];
+    const series = resolution ? derived.constituents.map(constituent => this.getSeries(constituent, resolution)) : [];
+    if (series.length > 0 && series.every(Boolean)) {
+      const lookups = series.slice(1).map(({ bars: constituentBars }) => new Map(constituentBars.map(bar => [bar.time, bar])));
+      for (const bar of series[0].bars) {
+        const group = [bar];
+        for (const lookup of lookups) {
+          const other = lookup.get(bar.time);
+          if (!other) break;
+          group.push(other);
+        }
+        if (group.length < series.length) continue;
+
+        const combined = this.combineBars(symbol, derived, group, bar.time);
+        if (combined) bars.push(combined);
+      }
+    }
+
+    const normalized = resolution || this.getNativeResolutions(symbol)[0];
+    this.setSourceData(symbol, normalized, bars);
+    this.loadReports[symbol] = {
+      [normalized]: { expression: derived.canonical, constituents: derived.constituents, loaded: bars.length }
+    };
+  }
+
+  combineBars(symbol, derived, bars, time) {
+    const decimals = this.getPriceDecimals(symbol);
+    const prices = {};
+
+    for (const field of ['open', 'high', 'low', 'close']) {
+      const values = {};
+      derived.constituents.forEach((constituent, index) => { values[constituent] = bars[index][field]; });
+      const value = this.evaluateExpression(derived.ast, values);
+      if (!Number.isFinite(value)) return null;
+      prices[field] = parseFloat(value.toFixed(decimals));
+    }
+
+    return {
+      time,
+      open: prices.open,
+      high: Math.max(prices.open, prices.high, prices.low, prices.close),
+      low: Math.min(prices.open, prices.high, prices.low, prices.close),
+      close: prices.close,
+      volume: 0
+    };
+  }
+
+  updateDerived(constituent) {
+    for (const [symbol, derived] of this.derived) {
+      if (!derived.constituents.includes(constituent)) continue;
+
+      const resolution = this.getBaseResolution(symbol);
+      const current = derived.constituents.map(c => this.getCurrentBar(c, resolution));
+      if (current.some(bar => !bar || bar.time !== current[0].time)) continue;
+
+      const combined = this.combineBars(symbol, derived, current, current[0].time);
+      if (combined) this.upsertBar(symbol, combined);
+    }
+  }
+
+  rebuildDerived(constituent) {
+    for (const [symbol, derived] of this.derived) {
+      if (!derived.constituents.includes(constituent)) continue;
+      this.buildDerivedSeries(symbol);
+      this.emit('data', symbol);
+    }
+  }
+
+  buildSymbolConfig(data, existing = {}) {
+    const config = {
+      name: data.name !== undefined ? data.name : existing.name,
+      exchange: data.exchange !== undefined ? data.exchange : existing.exchange,
+      type: data.type !== undefined ? data.type : existing.type,
+      session: data.session || existing.session || '24x7',
+      timezone: data.timezone || existing.timezone || 'UTC',
+      minmov: data.minmov !== undefined ? data.minmov : (existing.minmov || 1),
+      pricescale: data.pricescale !== undefined ? data.pricescale : (existing.pricescale || 100),
+      has_intraday: data.has_intraday !== undefined ? data.has_intraday : existing.has_intraday !== false,
+      has_daily: data.has_daily !== undefined ? data.has_daily : existing.has_daily !== false,
+      has_weekly_and_monthly: data.has_weekly_and_monthly !== undefined
+        ? data.has_weekly_and_monthly
+        : existing.has_weekly_and_monthly !== false,
+      data_status: data.data_status || existing.data_status || 'streaming'
+    };
+
+    for (const field of ['spread_ticks', 'native_resolutions', 'import', 'quality', 'generator', 'aliases', 'tags', 'sector', 'expression', 'currency', 'unit']) {
+      if (data[field] !== undefined) config[field] = data[field];
+      else if (existing[field] !== undefined) config[field] = existing[field];
+    }
+
+    return config;
+  }
+
+  validateSymbolConfig(config, symbol = null) {
+    const errors = [];
+
+    for (const field of ['name', 'exchange', 'type']) {
+      if (!config[field] || typeof config[field] !== 'string') errors.push(`${field} is required`);
+    }
+
+    const exchanges = this.getExchanges().map(exchange => exchange.value);
+    if (config.exchange && !exchanges.includes(config.exchange)) {
+      errors.push(`exchange must be one of: ${exchanges.join(', ')}`);
+    }
+
+    const types = SYMBOL_TYPES.map(type => type.value).filter(Boolean);
+    if (config.type && !types.includes(config.type)) {
+      errors.push(`type must be one of: ${types.join(', ')}`);
+    }
+
+    if (!this.isValidSession(config.session)) {
+      errors.push(`session "${config.session}" must be "24x7" or HHMM-HHMM[,HHMM-HHMM][:days]`);
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+    } catch (error) {
+      errors.push(`timezone "${config.timezone}" is not a valid IANA timezone`);
+    }
+
+    if (!Number.isInteger(config.minmov) || config.minmov < 1) {
+      errors.push('minmov must be a positive integer');
+    }
+
+    if (!Number.isInteger(config.pricescale) || config.pricescale < 1 || !Number.isInteger(Math.log10(config.pricescale))) {
+      errors.push('pricescale must be a power of 10 (1, 10, 100, ...)');
+    }
+
+    for (const field of ['has_intraday', 'has_daily', 'has_weekly_and_monthly']) {
+      if (typeof config[field] !== 'boolean') errors.push(`${field} must be a boolean`);
+    }
+
+    if (!DATA_STATUSES.includes(config.data_status)) {
+      errors.push(`data_status must be one of: ${DATA_STATUSES.join(', ')}`);
+    }
+
+    if (config.spread_ticks !== undefined && (typeof config.spread_ticks !== 'number' || config.spread_ticks < 0)) {
+      errors.push('spread_ticks must be a non-negative number');
+    }
+
+    if (config.import !== undefined) {
+      if (!config.import || typeof config.import !== 'object' || Array.isArray(config.import)) {
+        errors.push('import must be an object');
+      } else if (config.import.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: config.import.timezone });
+        } catch (error) {
+          errors.push(`import.timezone "${config.import.timezone}" is not a valid IANA timezone`);
+        }
+      }
+    }
+
+    if (config.quality !== undefined) {
+      if (!config.quality || typeof config.quality !== 'object' || Array.isArray(config.quality)) {
+        errors.push('quality must be an object');
+      } else {
+        for (const [issue, action] of Object.entries(config.quality)) {
+          if (issue === 'spike_multiplier') {
+            if (typeof action !== 'number' || action <= 1) errors.push('quality.spike_multiplier must be a number greater than 1');
+          } else if (!QUALITY_ACTIONS[issue]) {
+            errors.push(`quality.${issue} is not a known check`);
+          } else if (!QUALITY_ACTIONS[issue].includes(action)) {
+            errors.push(`quality.${issue} must be one of: ${QUALITY_ACTIONS[issue].join(', ')}`);
+          }
+        }
+      }
+    }
+
+    for (const field of ['aliases', 'tags']) {
+      if (config[field] === undefined) continue;
+      if (!Array.isArray(config[field]) || config[field].some(value => !value || typeof value !== 'string')) {
+        errors.push(`${field} must be an array of non-empty strings`);
+      }
+    }
+
+    if (Array.isArray(config.aliases)) {
+      for (const alias of config.aliases) {
+        if (typeof alias !== 'string' || !/^[A-Za-z0-9._-]+$/.test(alias)) {
+          errors.push(`alias "${alias}" may only contain letters, digits, ".", "_" and "-"`);
+          continue;
+        }
+        const owner = this.resolveSymbol(alias, { create: false });
+        if (owner && owner !== symbol && !this.isTransient(owner)) errors.push(`alias "${alias}" is already used by ${owner}`);
+      }
+    }
+
+    if (config.sector !== undefined && typeof config.sector !== 'string') {
+      errors.push('sector must be a string');
+    }
+
+    if (config.currency !== undefined && (typeof config.currency !== 'string' || !/^[A-Za-z]{3,4}$/.test(config.currency))) {
+      errors.push('currency must be a 3 or 4 letter currency code');
+    }
+
+    if (config.unit !== undefined && !this.getUnitType(config.unit)) {
+      errors.push(`unit must be one of: ${Object.values(UNITS).flat().map(unit => unit.id).join(', ')}`);
+    }
+
+    if (config.expression !== undefined) {
+      try {
+        if (typeof config.expression !== 'string') throw new Error('must be a string');
+        this.parseExpression(config.expression);
+      } catch (error) {
+        errors.push(`expression ${error.message}`);
+      }
+    }
+
+    if (config.generator !== undefined) {
+      const generator = config.generator;
+      if (!generator || typeof generator !== 'object' || Array.isArray(generator)) {
+        errors.push('generator must be an object');
+      } else {
+        if (generator.model !== undefined && !GENERATOR_MODELS.includes(generator.model)) {
+          errors.push(`generator.model must be one of: ${GENERATOR_MODELS.join(', ')}`);
+        }
+        for (const param of Object.keys(GENERATOR_PARAMS)) {
+          const value = generator[param];
+          if (value === undefined) continue;
+          const positive = ['base_price', 'mean_price', 'volume'].includes(param);
+          const signed = ['drift', 'jump_mean'].includes(param);
+          if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`generator.${param} must be a number`);
+          } else if (positive && value <= 0) {
+            errors.push(`generator.${param} must be positive`);
+          } else if (!positive && !signed && value < 0) {
+            errors.push(`generator.${param} must be non-negative`);
+          }
+        }
+        if (generator.seasonality !== undefined && typeof generator.seasonality !== 'boolean') {
+          errors.push('generator.seasonality must be a boolean');
+        }
+        if (generator.seed !== undefined && !['string', 'number'].includes(typeof generator.seed)) {
+          errors.push('generator.seed must be a string or number');
+        }
+        if (generator.end_time !== undefined && parseTimestamp(generator.end_time) === null) {
+          errors.push('generator.end_time must be a unix timestamp or ISO date');
+        }
+      }
+    }
+
+    if (config.native_resolutions !== undefined) {
+      if (!Array.isArray(config.native_resolutions) || config.native_resolutions.length === 0) {
+        errors.push('native_resolutions must be a non-empty array');
+      } else {
+        const invalid = config.native_resolutions.filter(resolution => !this.parseResolution(resolution));
+        if (invalid.length > 0) errors.push(`native_resolutions contains invalid resolutions: ${invalid.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  isValidSession(session) {
+    if (session === '24x7') return true;
+
+    const match = /^(\d{4}-\d{4}(?:,\d{4}-\d{4})*)(?::([1-7]{1,7}))?$/.exec(session || '');
+    if (!match) return false;
+
+    return match[1].split(/[-,]/).every(hhmm => {
+      const hours = parseInt(hhmm.slice(0, 2));
+      const minutes = parseInt(hhmm.slice(2, 4));
+      return minutes < 60 && (hours < 24 || (hours === 24 && minutes === 0));
+    });
+  }
+
+  removeSymbolData(symbol) {
+    delete this.historicalData[symbol];
+    delete this.sourceData[symbol];
+    delete this.aggregates[symbol];
+    this.cache.invalidate(symbol);
+    this.emit('data', symbol);
+  }
+
+  collectBarItems(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return [];
+
+    const zipColumns = (columns) => {
+      const [timeKey] = columns;
+      return data[timeKey].map((_, i) => {
+        const item = {};
+        for (const key of columns) {
+          if (Array.isArray(data[key])) item[key] = data[key][i];
+        }
+        return item;
+      });
+    };
+
+    if (Array.isArray(data.time) && Array.isArray(data.open)) {
+      return zipColumns(['time', 'open', 'high', 'low', 'close', 'volume']);
+    }
+    if (Array.isArray(data.t) && Array.isArray(data.o)) {
+      return zipColumns(['t', 'o', 'h', 'l', 'c', 'v']);
+    }
+
+    return data.data || data.bars || [];
+  }
+
+  parseCsv(text, options = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const delimiter = options.delimiter || ['\t', ';', ','].find(d => lines[0].includes(d)) || ',';
+    const aliases = { datetime: 'time', date_time: 'time', 'gmt time': 'time', vol: 'volume', tickvol: 'volume', tick_volume: 'volume' };
+    const splitLine = (line) => this.splitCsvLine(line, delimiter);
+
+    const hasHeader = options.has_header !== false;
+    const rawHeader = hasHeader ? splitLine(lines[0]) : [];
+    const header = rawHeader.map(column => {
+      const name = column.replace(/[<>]/g, '').toLowerCase();
+      return aliases[name] || name;
+    });
+
+    const columns = options.columns || null;
+    const columnIndex = (column) => {
+      if (typeof column === 'number') return column;
+      const index = rawHeader.indexOf(column);
+      return index !== -1 ? index : header.indexOf(String(column).toLowerCase());
+    };
+    const mapping = columns
+      ? Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, columnIndex(column)]))
+      : null;
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+      const values = splitLine(line);
+      const item = {};
+
+      if (mapping) {
+        for (const [field, index] of Object.entries(mapping)) {
+          if (index !== -1) item[field] = values[index];
+        }
+      } else {
+        header.forEach((column, i) => { item[column] = values[i]; });
+      }
+
+      for (const field of ['open', 'high', 'low', 'close', 'volume', 'o', 'h', 'l', 'c', 'v']) {
+        if (item[field] !== undefined && item[field] !== '') item[field] = this.parseCsvNumber(item[field]);
+      }
+
+      let dateValue = [item.time, item.timestamp, item.t, item.date].find(value => value !== undefined);
+      if (item.date !== undefined && item.time !== undefined && /^\d{1,2}:\d{2}/.test(item.time)) {
+        dateValue = `${item.date} ${item.time}`;
+      }
+      if (item.time_of_day !== undefined) {
+        dateValue = `${item.date} ${item.time_of_day}`;
+      }
+      if (dateValue === undefined || dateValue === '') return item;
+
+      const time = this.parseDateTime(dateValue, options.date_format, options.timezone);
+      if (time === null) return new Error(`unparseable date "${dateValue}"`);
+      return { ...item, time };
+    });
+  }
+
+  // Quoted fields may contain the delimiter, and "" inside quotes is a literal quote.
+  splitCsvLine(line, delimiter) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value.trim() === '') {
+        quoted = true;
+        value = '';
+      } else if (line.startsWith(delimiter, i)) {
+        values.push(value.trim());
+        value = '';
+        i += delimiter.length - 1;
+      } else {
+        value += char;
+      }
+    }
+    values.push(value.trim());
+    return values;
+  }
+
+  parseCsvNumber(value) {
+    const text = String(value).trim();
+    return parseFloat(/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text);
+  }
+
+  parseBars(items, rowOffset = 1) {
+    const bars = [];
+    const rejected = [];
+
+    items.forEach((item, index) => {
+      const bar = item && typeof item === 'object' && !(item instanceof Error) ? this.normalizeBarData(item) : null;
+      if (bar) {
+        bars.push(bar);
+        return;
+      }
+
+      let reason = 'invalid or out-of-range timestamp';
+      if (item instanceof Error) reason = item.message;
+      else if (!item || typeof item !== 'object') reason = 'not a bar object';
+      else if (!(item.time || item.timestamp || item.t || item.date)) reason = 'missing timestamp';
+      rejected.push({ row: index + rowOffset, reason });
+    });
+
+    return { bars, rejected };
+  }
+
+  getQualityPolicy(symbol) {
+    const info = this.symbols[symbol] || {};
+    return { ...QUALITY_POLICY, ...(info.quality || {}) };
+  }
+
+  validateBars(symbol, bars, resolution) {
+    const policy = this.getQualityPolicy(symbol);
+    const parsed = this.parseResolution(resolution);
+    const fields = ['open', 'high', 'low', 'close'];
+    const report = {
+      resolution,
+      checked_at: new Date().toISOString(),
+      policy,
+      input_bars: bars.length,
+      output_bars: 0,
+      issues: { missing_field: 0, zero_price: 0, ohlc_inconsistent: 0, duplicate: 0, out_of_order: 0, spike: 0, gap: 0 },
+      dropped: 0,
+      fixed: 0,
+      forward_filled: 0,
+      missing_bars: 0,
+      gaps: [],
+      samples: []
+    };
+
+    const note = (time, issue, action) => {
+      report.issues[issue]++;
+      if (action === 'drop') report.dropped++;
+      else if (action === 'fix') report.fixed++;
+      else if (action === 'forward_fill') report.forward_filled++;
+      if (report.samples.length < 50) report.samples.push({ time, issue, action });
+    };
+    const flatBar = (time, price) => ({ time, open: price, high: price, low: price, close: price, volume: 0 });
+
+    for (let i = 1; i < bars.length; i++) {
+      if (bars[i].time < bars[i - 1].time) report.issues.out_of_order++;
+    }
+
+    const unique = [];
+    for (const bar of [...bars].sort((a, b) => a.time - b.time)) {
+      const last = unique[unique.length - 1];
+      if (last && last.time === bar.time) {
+        note(bar.time, 'duplicate', 'drop');
+        if (policy.duplicate === 'keep_last') unique[unique.length - 1] = bar;
+        continue;
+      }
+      unique.push(bar);
+    }
+
+    const closes = unique.map(b => b.close).filter(c => Number.isFinite(c) && c > 0);
+    const moves = [];
+    for (let i = 1; i < closes.length; i++) {
+      const move = Math.abs(Math.log(closes[i] / closes[i - 1]));
+      if (move > 0) moves.push(move);
+    }
+    moves.sort((a, b) => a - b);
+    const medianMove = moves.length > 0 ? moves[Math.floor(moves.length / 2)] : 0;
+
+    const cleaned = [];
+    let prevClose = null;
+
+    for (const original of unique) {
+      let bar = { ...original };
+      let issue = null;
+
+      if (fields.some(field => !Number.isFinite(bar[field]))) issue = 'missing_field';
+      else if (fields.some(field => bar[field] <= 0)) issue = 'zero_price';
+
+      if (issue) {
+        const action = policy[issue];
+        for (const field of fields) {
+          if (!(bar[field] > 0)) bar[field] = NaN;
+        }
+        const available = fields.map(field => bar[field]).filter(Number.isFinite);
+
+        if (action === 'fix' && available.length > 0) {
+          if (!Number.isFinite(bar.open)) bar.open = prevClose !== null ? prevClose : available[0];
+          if (!Number.isFinite(bar.close)) bar.close = available[available.length - 1];
+          bar.high = Math.max(...fields.map(field => bar[field]).filter(Number.isFinite));
+          bar.low = Math.min(...fields.map(field => bar[field]).filter(Number.isFinite));
+          note(bar.time, issue, 'fix');
+        } else if (action !== 'drop' && prevClose !== null) {
+          bar = flatBar(bar.time, prevClose);
+          note(bar.time, issue, 'forward_fill');
+        } else {
+          note(bar.time, issue, 'drop');
+          continue;
+        }
+      }
+
+      if (bar.high < Math.max(bar.open, bar.close, bar.low) || bar.low > Math.min(bar.open, bar.close, bar.high)) {
+        const action = policy.ohlc_inconsistent;
+        if (action === 'drop') {
+          note(bar.time, 'ohlc_inconsistent', 'drop');
+          continue;
+        }
+        if (action === 'fix') {
+          bar.high = Math.max(bar.open, bar.high, bar.low, bar.close);
+          bar.low = Math.min(bar.open, bar.high, bar.low, bar.close);
+        }
+        note(bar.time, 'ohlc_inconsistent', action);
+      }
+
+      if (prevClose !== null && medianMove > 0 &&
+          Math.abs(Math.log(bar.close / prevClose)) > policy.spike_multiplier * medianMove) {
+        const action = policy.spike;
+        if (action === 'drop') {
+          note(bar.time, 'spike', 'drop');
+          continue;
+        }
+        if (action === 'forward_fill') bar = flatBar(bar.time, prevClose);
+        note(bar.time, 'spike', action);
+      }
+
+      cleaned.push(bar);
+      prevClose = bar.close;
+    }
+
+    const intraday = parsed && !['D', 'W', 'M'].includes(parsed.unit);
+    if (!intraday) {
+      report.output_bars = cleaned.length;
+      return { bars: cleaned, report };
+    }
+
+    const interval = parsed.seconds;
+    const output = [];
+    for (let i = 0; i < cleaned.length; i++) {
+      const bar = cleaned[i];
+      const prev = output[output.length - 1];
+
+      if (prev && bar.time - prev.time > interval) {
+        const slots = Math.floor((bar.time - prev.time) / interval) - 1;
+        const missing = [];
+        if (slots > 100000) {
+          missing.length = slots;
+        } else {
+          for (let time = prev.time + interval; time < bar.time; time += interval) {
+            if (this.isInSession(symbol, time)) missing.push(time);
+          }
+        }
+
+        if (missing.length > 0) {
+          report.issues.gap++;
+          report.missing_bars += missing.length;
+          if (report.gaps.length < 20) {
+            report.gaps.push({ from: prev.time + interval, to: bar.time - interval, missing_bars: missing.length });
+          }
+          if (policy.gap === 'forward_fill' && slots <= 100000) {
+            for (const time of missing) output.push(flatBar(time, prev.close));
+            report.forward_filled += missing.length;
+          }
+        }
+      }
+
+      output.push(bar);
+    }
+
+    report.output_bars = output.length;
+    return { bars: output, report };
+  }
+
+  mergeBars(symbol, resolution, bars, replaceRange = null) {
+    const normalized = this.normalizeResolution(resolution);
+    const sourceKey = `${symbol}_${normalized}`;
+    const replacedSample = this.generatedSources.delete(sourceKey);
+    const existing = replacedSample ? [] : ((this.sourceData[symbol] || {})[normalized] || []);
+
+    const byTime = new Map();
+    let removed = 0;
+    for (const bar of existing) {
+      if (replaceRange && bar.time >= replaceRange.from && bar.time <= replaceRange.to) {
+        removed++;
+        continue;
+      }
+      byTime.set(bar.time, bar);
+    }
+
+    let outOfOrder = 0;
+    for (let i = 1; i < bars.length; i++) {
+      if (bars[i].time < bars[i - 1].time) outOfOrder++;
+    }
+
+    const uploadedTimes = new Set();
+    let added = 0;
+    let overwritten = 0;
+    let duplicates = 0;
+    for (const bar of bars) {
+      if (uploadedTimes.has(bar.time)) {
+        duplicates++;
+      } else if (byTime.has(bar.time)) {
+        overwritten++;
+      } else {
+        added++;
+      }
+      uploadedTimes.add(bar.time);
+      byTime.set(bar.time, bar);
+    }
+
+    const { bars: merged, report } = this.validateBars(symbol, [...byTime.values()].sort((a, b) => a.time - b.time), normalized);
+    report.issues.out_of_order = outOfOrder;
+    this.setSourceData(symbol, normalized, merged);
+    if (!this.qualityReports[symbol]) this.qualityReports[symbol] = {};
+    this.qualityReports[symbol][normalized] = report;
+    this.emit('data', symbol, normalized);
+
+    return {
+      added,
+      overwritten,
+      removed,
+      duplicates,
+      out_of_order: outOfOrder,
+      replaced_sample_data: replacedSample,
+      total_bars: merged.length,
+      quality: {
+        issues: report.issues,
+        dropped: report.dropped,
+        fixed: report.fixed,
+        forward_filled: report.forward_filled
+      }
+    };
+  }
+
+  saveSourceData(symbol, resolution) {
+    const dataDir = path.join(__dirname, 'data');
+    const normalized = this.normalizeResolution(resolution);
+    const nativeResolutions = this.getNativeResolutions(symbol);
+
+    let fileName = `${symbol}_${normalized}.json`;
+    if (!fs.existsSync(path.join(dataDir, fileName)) && nativeResolutions[0] === normalized) {
+      fileName = `${symbol}.json`;
+    }
+
+    writeJsonAtomic(path.join(dataDir, fileName), this.sourceData[symbol][normalized], 0);
+
+    if (!nativeResolutions.includes(normalized)) {
+      const config = { ...this.symbols[symbol], native_resolutions: [...nativeResolutions, normalized] };
+      this.commitSymbols({ ...this.symbols, [symbol]: config });
+    }
+
+    return fileName;
+  }
+
+  normalizeBarData(item) {
+    try {
+      let timestamp = item.time || item.timestamp || item.t || item.date;
+
+      if (!timestamp) return null;
+
+      if (typeof timestamp === 'string' && !/^\d+(\.\d+)?$/.test(timestamp)) {
+        timestamp = new Date(timestamp).getTime() / 1000;
+      }
+
+      timestamp = parseFloat(timestamp);
+      if (!Number.isFinite(timestamp)) return null;
+
+      if (timestamp > 1e10) {
+        timestamp = Math.floor(timestamp / 1000);
+      } else {
+        timestamp = Math.floor(timestamp);
+      }
+
+      if (timestamp < 946684800 || timestamp > Date.now() / 1000 + 86400) {
+        return null;
+      }
+
+      const field = (name, short) => parseFloat(item[name] !== undefined ? item[name] : item[short]);
+
+      return {
+        time: timestamp,
+        open: field('open', 'o'),
+        high: field('high', 'h'),
+        low: field('low', 'l'),
+        close: field('close', 'c'),
+        volume: parseInt(item.volume || item.v || 0)
+      };
+    } catch (error) {
+      logger.warn('Error normalizing bar data', { error });
+      return null;
+    }
+  }
+
+  getCacheKey(kind, symbol, resolution, fromTime, toTime, countback) {
+    return `${kind}:${symbol}_${this.normalizeResolution(resolution)}_${fromTime}_${toTime}_${countback || 0}`;
+  }
+
+  getCachedHistory(kind, symbol, resolution, fromTime, toTime, countback = null) {
+    const cacheKey = this.getCacheKey(kind, symbol, resolution, fromTime, toTime, countback);
+    const cached = this.cache.get(cacheKey);
+    logger.debug(cached ? 'History cache hit' : 'History cache miss', { key: cacheKey });
+    return cached;
+  }
+
+  cacheHistory(kind, symbol, resolution, fromTime, toTime, data, countback = null, dependencies = []) {
+    const cacheKey = this.getCacheKey(kind, symbol, resolution, fromTime, toTime, countback);
+    if (this.cache.set(cacheKey, symbol, data, toTime, dependencies)) {
+      logger.debug('Cached history', { key: cacheKey });
+    }
+  }
+
+  resampleData(bars, targetResolution, symbol, sourceResolution = this.getBaseResolution(symbol)) {
+    if (!bars || bars.length === 0) return [];
+
+    if (this.normalizeResolution(targetResolution) === this.normalizeResolution(sourceResolution)) {
+      return bars;
+    }
+
+    const sessionBased = this.isSessionResolution(targetResolution) && !this.isSessionResolution(sourceResolution);
+    const resampledBars = [];
+    let currentGroup = [];
+    let currentPeriodStart = null;
+
+    for (const bar of bars) {
+      if (sessionBased && !this.isInSession(symbol, bar.time)) continue;
+
+      const periodStart = this.getPeriodStart(bar.time, targetResolution, symbol, sourceResolution);
+
+      if (currentGroup.length > 0 && periodStart !== currentPeriodStart) {
+        const resampled = this.createResampledBar(currentGroup, currentPeriodStart);
+        if (resampled) resampledBars.push(resampled);
+        currentGroup = [];
+      }
+
+      currentPeriodStart = periodStart;
+      currentGroup.push(bar);
+    }
+
+    if (currentGroup.length > 0) {
+      const resampled = this.createResampledBar(currentGroup, currentPeriodStart);
+      if (resampled) resampledBars.push(resampled);
+    }
+
+    return resampledBars;
+  }
+
+  getPeriodStart(time, resolution, symbol, sourceResolution) {
+    const { unit, multiplier, seconds } = this.parseResolution(resolution);
+    const tradingDay = () => this.isSessionResolution(sourceResolution) ? time : this.getTradingDay(symbol, time);
+
+    if (unit === 'D') {
+      const windowStart = Math.floor(tradingDay() / (multiplier * 86400)) * multiplier * 86400;
+      return this.getFirstTradingDay(symbol, windowStart, windowStart + multiplier * 86400);
+    }
+
+    if (unit === 'W') {
+      const firstMonday = 4 * 86400;
+      const day = tradingDay();
+      const weekday = new Date(day * 1000).getUTCDay();
+      const monday = day - ((weekday + 6) % 7) * 86400;
+      const weekIndex = Math.floor((monday - firstMonday) / (7 * 86400));
+      const windowStart = firstMonday + Math.floor(weekIndex / multiplier) * multiplier * 7 * 86400;
+      return this.getFirstTradingDay(symbol, windowStart, windowStart + multiplier * 7 * 86400);
+    }
+
+    if (unit === 'M') {
+      const date = new Date(tradingDay() * 1000);
+      const monthIndex = date.getUTCFullYear() * 12 + date.getUTCMonth();
+      const startIndex = Math.floor(monthIndex / multiplier) * multiplier;
+      const monthStart = Date.UTC(Math.floor(startIndex / 12), startIndex % 12, 1) / 1000;
+      const nextMonth = Date.UTC(Math.floor(startIndex / 12), startIndex % 12 + multiplier, 1) / 1000;
+      return this.getFirstTradingDay(symbol, monthStart, nextMonth);
+    }
+
+    return Math.floor(time / seconds) * seconds;
+  }
+
+  getCurrentBar(symbol, resolution) {
+    const bars = this.historicalData[symbol];
+    if (!bars || bars.length === 0) return null;
+
+    return this.buildPeriodBar(symbol, resolution, this.getBaseResolution(symbol), bars, bars.length - 1);
+  }
+
+  // Folds the latest base bar (replacing previous, if it was updated in place) into current,
+  // the open bar of its period, so live updates do not rescan the whole period.
+  foldCurrentBar(symbol, resolution, current, bar, previous = null) {
+    const baseResolution = this.getBaseResolution(symbol);
+    if (this.isSessionResolution(resolution) && !this.isSessionResolution(baseResolution) && !this.isInSession(symbol, bar.time)) {
+      return current;
+    }
+
+    const periodStart = this.getPeriodStart(bar.time, resolution, symbol, baseResolution);
+    if (!current || periodStart > current.time) {
+      return { time: periodStart, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    }
+
+    const shrunk = previous && (bar.open !== previous.open ||
+      (bar.high < previous.high && previous.high === current.high) ||
+      (bar.low > previous.low && previous.low === current.low));
+    if (periodStart < current.time || shrunk) return this.getCurrentBar(symbol, resolution);
+
+    return {
+      time: current.time,
+      open: current.open,
+      high: Math.max(current.high, bar.high),
+      low: Math.min(current.low, bar.low),
+      close: bar.close,
+      volume: current.volume + bar.volume - (previous ? previous.volume : 0)
+    };
+  }
+
+  buildPeriodBar(symbol, resolution, sourceResolution, bars, endIndex) {
+    const sessionOnly = this.isSessionResolution(resolution) && !this.isSessionResolution(sourceResolution);
+
+    let end = endIndex;
+    while (sessionOnly && end >= 0 && !this.isInSession(symbol, bars[end].time)) end--;
+    if (end < 0) return null;
+
+    const periodStart = this.getPeriodStart(bars[end].time, resolution, symbol, sourceResolution);
+    const group = [];
+    for (let i = end; i >= 0; i--) {
+      if (sessionOnly && !this.isInSession(symbol, bars[i].time)) continue;
+      if (this.getPeriodStart(bars[i].time, resolution, symbol, sourceResolution) !== periodStart) break;
+      group.push(bars[i]);
+    }
+
+    return this.createResampledBar(group.reverse(), periodStart);
+  }
+
+  findFirstIndex(bars, time) {
+    let low = 0;
+    let high = bars.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (bars[mid].time < time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  getBarsInRange(bars, fromTime, toTime) {
+    return bars.slice(this.findFirstIndex(bars, fromTime), this.findFirstIndex(bars, toTime + 1));
+  }
+
+  getSeries(symbol, resolution) {
+    const source = this.selectSource(symbol, resolution);
+    if (!source) return null;
+
+    const normalized = this.normalizeResolution(resolution);
+    if (source.resolution === normalized) {
+      return { source: source.resolution, bars: source.bars };
+    }
+
+    if (!STANDARD_RESOLUTIONS.includes(normalized)) {
+      return { source: source.resolution, bars: this.resampleData(source.bars, normalized, symbol, source.resolution) };
+    }
+
+    if (!this.aggregates[symbol]) this.aggregates[symbol] = {};
+    let aggregate = this.aggregates[symbol][normalized];
+    if (!aggregate || aggregate.source !== source.resolution) {
+      aggregate = {
+        source: source.resolution,
+        bars: this.resampleData(source.bars, normalized, symbol, source.resolution)
+      };
+      this.aggregates[symbol][normalized] = aggregate;
+    }
+
+    return aggregate;
+  }
+
+  getHistoryBars(symbol, resolution, fromTime, toTime, countback = null) {
+    const series = this.getSeries(symbol, resolution);
+    if (!series) return null;
+
+    const endIndex = this.findFirstIndex(series.bars, toTime + 1);
+    const startIndex = countback
+      ? Math.max(0, endIndex - countback)
+      : Math.min(this.findFirstIndex(series.bars, fromTime), endIndex);
+    const bars = series.bars.slice(startIndex, endIndex);
+    const nextTime = bars.length === 0 && endIndex > 0 ? series.bars[endIndex - 1].time : null;
+    const sourceBars = this.sourceData[symbol][series.source];
+
+    if (bars.length > 0 && series.source !== this.normalizeResolution(resolution)) {
+      const sourceEnd = this.findFirstIndex(sourceBars, toTime + 1) - 1;
+      const partial = sourceEnd >= 0
+        ? this.buildPeriodBar(symbol, resolution, series.source, sourceBars, sourceEnd)
+        : null;
+      if (partial && partial.time === bars[bars.length - 1].time) {
+        bars[bars.length - 1] = partial;
+      }
+    }
+
+    return { source: series.source, series: series.bars, bars, nextTime };
+  }
+
+  updateAggregates(symbol, bar, previous = null) {
+    const aggregates = this.aggregates[symbol];
+    if (!aggregates) return;
+
+    const baseResolution = this.getBaseResolution(symbol);
+    for (const [resolution, aggregate] of Object.entries(aggregates)) {
+      if (aggregate.source !== baseResolution) continue;
+
+      const bars = aggregate.bars;
+      const last = bars[bars.length - 1];
+      const current = this.foldCurrentBar(symbol, resolution, last, bar, previous);
+      if (!current) continue;
+
+      if (!last || current.time > last.time) {
+        bars.push(current);
+      } else if (current.time === last.time) {
+        bars[bars.length - 1] = current;
+      } else {
+        delete aggregates[resolution];
+      }
+    }
+  }
+
+  getNativeResolutions(symbol) {
+    const info = this.symbols[symbol] || {};
+    const declared = info.native_resolutions || [String(this.baseTimeframe)];
+
+    return declared
+      .map(resolution => this.normalizeResolution(resolution))
+      .filter(Boolean)
+      .sort((a, b) => this.parseResolution(a).seconds - this.parseResolution(b).seconds);
+  }
+
+  setSourceData(symbol, resolution, bars) {
+    const normalized = this.normalizeResolution(resolution);
+    if (!this.sourceData[symbol]) this.sourceData[symbol] = {};
+    this.sourceData[symbol][normalized] = bars;
+    delete this.aggregates[symbol];
+    this.cache.invalidate(symbol);
+
+    if (normalized === this.getBaseResolution(symbol)) {
+      this.historicalData[symbol] = bars;
+    }
+  }
+
+  getSourceResolutions(symbol) {
+    return Object.keys(this.sourceData[symbol] || {})
+      .sort((a, b) => this.parseResolution(a).seconds - this.parseResolution(b).seconds);
+  }
+
+  getBaseResolution(symbol) {
+    const loaded = this.getSourceResolutions(symbol);
+    return loaded.length > 0 ? loaded[0] : this.getNativeResolutions(symbol)[0];
+  }
+
+  getBaseSeconds(symbol) {
+    return this.parseResolution(this.getBaseResolution(symbol)).seconds;
+  }
+
+  canBuildResolution(sourceResolution, targetResolution) {
+    const source = this.parseResolution(sourceResolution);
+    const target = this.parseResolution(targetResolution);
+    if (!source || !target) return false;
+
+    if (source.normalized === target.normalized) return true;
+    if (source.unit === null || source.unit === 'S') {
+      if (target.unit === null || target.unit === 'S') {
+        return target.seconds > source.seconds && target.seconds % source.seconds === 0;
+      }
+      return true;
+    }
+    if (source.unit === 'D' && source.multiplier === 1) return ['D', 'W', 'M'].includes(target.unit);
+    if (source.unit === 'W' && source.multiplier === 1) return target.unit === 'W';
+    if (source.unit === 'M' && source.multiplier === 1) return target.unit === 'M';
+    return false;
+  }
+
+  selectSource(symbol, resolution) {
+    const sources = this.getSourceResolutions(symbol);
+    const normalized = this.normalizeResolution(resolution);
+
+    const sourceResolution = sources.includes(normalized)
+      ? normalized
+      : sources.find(source => this.canBuildResolution(source, normalized));
+    if (!sourceResolution) return null;
+
+    return { resolution: sourceResolution, bars: this.sourceData[symbol][sourceResolution] };
+  }
+
+  upsertBar(symbol, bar) {
+    if (!this.historicalData[symbol]) {
+      this.setSourceData(symbol, this.getBaseResolution(symbol), []);
+    }
+
+    const bars = this.historicalData[symbol];
+    const last = bars[bars.length - 1];
+    let previous = null;
+
+    if (!last || bar.time > last.time) {
+      bars.push(bar);
+      this.updateAggregates(symbol, bar);
+    } else if (bar.time === last.time) {
+      previous = last;
+      bars[bars.length - 1] = bar;
+      this.updateAggregates(symbol, bar, previous);
+    } else {
+      const index = this.findFirstIndex(bars, bar.time);
+      if (bars[index].time === bar.time) {
+        bars[index] = bar;
+      } else {
+        bars.splice(index, 0, bar);
+      }
+      delete this.aggregates[symbol];
+    }
+
+    this.cache.invalidate(symbol, bar.time);
+    this.emit('bar', symbol, bar, previous);
+  }
+
+  createResampledBar(bars, periodStart) {
+    if (!bars || bars.length === 0) return null;
+
+    let high = -Infinity;
+    let low = Infinity;
+    let volume = 0;
+    for (const bar of bars) {
+      if (bar.high > high) high = bar.high;
+      if (bar.low < low) low = bar.low;
+      volume += bar.volume;
+    }
+
+    return {
+      time: periodStart,
+      open: bars[0].open,
+      high,
+      low,
+      close: bars[bars.length - 1].close,
+      volume
+    };
+  }
+
+  getTimezoneOffset(timezone, time) {
+    if (!timezone || timezone === 'UTC' || timezone === 'Etc/UTC') return 0;
+
+    if (!this.timezoneOffsets) this.timezoneOffsets = new Map();
+    const cacheKey = `${timezone}_${Math.floor(time / 900)}`;
+    if (this.timezoneOffsets.has(cacheKey)) {
+      return this.timezoneOffsets.get(cacheKey);
+    }
+    if (this.timezoneOffsets.size > 100000) {
+      this.timezoneOffsets.clear();
+    }
+
+    if (!this.timezoneFormatters) this.timezoneFormatters = {};
+    if (!this.timezoneFormatters[timezone]) {
+      this.timezoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+
+    const parts = {};
+    for (const part of this.timezoneFormatters[timezone].formatToParts(new Date(time * 1000))) {
+      parts[part.type] = parseInt(part.value);
+    }
+    const localTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    const offset = localTime - time;
+    this.timezoneOffsets.set(cacheKey, offset);
+    return offset;
+  }
+
+  parseSession(session) {
+    if (!this.sessionCache) this.sessionCache = {};
+    const key = session || '24x7';
+    if (this.sessionCache[key]) return this.sessionCache[key];
+
+    let parsed;
+    if (key === '24x7') {
+      parsed = {
+        allDay: true,
+        overnight: false,
+        segments: [{ start: 0, end: 1440 }],
+        days: new Set([1, 2, 3, 4, 5, 6, 7])
+      };
+    } else {
+      const [hours, days] = key.split(':');
+      const toMinutes = (hhmm) => parseInt(hhmm.slice(0, 2)) * 60 + parseInt(hhmm.slice(2, 4));
+      const segments = hours.split(',').map(segment => {
+        const [start, end] = segment.split('-');
+        return { start: toMinutes(start), end: toMinutes(end) };
+      });
+      parsed = {
+        allDay: false,
+        overnight: segments[0].start >= segments[segments.length - 1].end,
+        segments,
+        days: new Set((days || '23456').split('').map(Number))
+      };
+    }
+
+    this.sessionCache[key] = parsed;
+    return parsed;
+  }
+
+  getTradingDay(symbol, time) {
+    const info = this.symbols[symbol] || {};
+    const session = this.parseSession(info.session);
+    const local = time + this.getTimezoneOffset(info.timezone, time);
+    let day = Math.floor(local / 86400) * 86400;
+
+    if (session.overnight && (local - day) / 60 >= session.segments[0].start) {
+      day += 86400;
+    }
+
+    return day;
+  }
+
+  getFirstTradingDay(symbol, from, to) {
+    const session = this.parseSession((this.symbols[symbol] || {}).session);
+    for (let day = from; day < to; day += 86400) {
+      if (session.days.has(new Date(day * 1000).getUTCDay() + 1)) return day;
+    }
+    return from;
+  }
+
+  isInSession(symbol, time) {
+    const info = this.symbols[symbol] || {};
+    const session = this.parseSession(info.session);
+    if (session.allDay) return true;
+
+    const tradingDay = this.getTradingDay(symbol, time);
+    if (!session.days.has(new Date(tradingDay * 1000).getUTCDay() + 1)) return false;
+
+    const local = time + this.getTimezoneOffset(info.timezone, time);
+    const minute = (local - Math.floor(local / 86400) * 86400) / 60;
+
+    return session.segments.some(({ start, end }) => start < end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end);
+  }
+
+  getSessionStart(symbol, time) {
+    const info = this.symbols[symbol] || {};
+    const session = this.parseSession(info.session);
+    let openLocal = this.getTradingDay(symbol, time) + session.segments[0].start * 60;
+    if (session.overnight) openLocal -= 86400;
+
+    return openLocal - this.getTimezoneOffset(info.timezone, openLocal);
+  }
+
+  getSymbolCurrency(symbol) {
+    const info = this.symbols[symbol];
+    if (!info) return null;
+    if (info.currency) return info.currency.toUpperCase();
+    if (info.expression) return null;
+
+    if (info.type === 'forex' && /^[A-Z]{6}$/.test(symbol)) return symbol.slice(3);
+    if (info.type === 'crypto') {
+      const quote = Object.keys(CURRENCY_PEGS).find(code => symbol.endsWith(code));
+      if (quote) return quote;
+    }
+    return EXCHANGE_CURRENCIES[info.exchange] || 'USD';
+  }
+
+  getFxPair(base, quote) {
+    if (this.fxIndexFor !== this.symbols) {
+      this.fxIndex = new Map();
+      for (const [symbol, info] of Object.entries(this.symbols)) {
+        if (info.type === 'forex' && /^[A-Z]{6}$/.test(symbol)) this.fxIndex.set(symbol, symbol);
+      }
+      this.fxIndexFor = this.symbols;
+    }
+
+    const symbol = this.fxIndex.get(`${base}${quote}`);
+    return symbol && this.historicalData[symbol] && this.historicalData[symbol].length > 0 ? symbol : null;
+  }
+
+  getConversionLegs(from, to) {
+    const source = CURRENCY_PEGS[from] || from;
+    const target = CURRENCY_PEGS[to] || to;
+    if (source === target) return [];
+
+    const direct = (base, quote) => {
+      if (this.getFxPair(base, quote)) return [{ symbol: this.getFxPair(base, quote), invert: false }];
+      if (this.getFxPair(quote, base)) return [{ symbol: this.getFxPair(quote, base), invert: true }];
+      return null;
+    };
+
+    const legs = direct(source, target);
+    if (legs || source === 'USD' || target === 'USD') return legs;
+
+    const toUsd = direct(source, 'USD');
+    const fromUsd = direct('USD', target);
+    return toUsd && fromUsd ? [...toUsd, ...fromUsd] : null;
+  }
+
+  getCurrencyCodes() {
+    const codes = new Set(['USD', ...Object.keys(CURRENCY_PEGS)]);
+    for (const symbol of Object.keys(this.symbols)) {
+      if (this.getSymbolCurrency(symbol)) codes.add(this.getSymbolCurrency(symbol));
+      if (this.symbols[symbol].type === 'forex' && /^[A-Z]{6}$/.test(symbol)) {
+        codes.add(symbol.slice(0, 3));
+        codes.add(symbol.slice(3));
+      }
+    }
+    return [...codes].filter(code => this.getConversionLegs(code, 'USD')).sort();
+  }
+
+  getCurrencyConversions(symbol, canUsePair = () => true) {
+    const currency = this.getSymbolCurrency(symbol);
+    if (!currency) return [];
+    return this.getCurrencyCodes().filter(code => {
+      const legs = code !== currency ? this.getConversionLegs(currency, code) : null;
+      return legs && legs.every(leg => canUsePair(leg.symbol));
+    });
+  }
+
+  getUnitType(unitId) {
+    return Object.keys(UNITS).find(type => UNITS[type].some(unit => unit.id === unitId)) || null;
+  }
+
+  getUnitConversions(symbol) {
+    const type = this.getUnitType((this.symbols[symbol] || {}).unit);
+    return type ? UNITS[type].map(unit => unit.id) : [];
+  }
+
+  createPriceConverter(symbol, resolution, options = {}) {
+    const info = this.symbols[symbol];
+    const currency = this.getSymbolCurrency(symbol);
+    const targetCurrency = options.currency ? options.currency.toUpperCase() : currency;
+    const targetUnit = options.unit || info.unit || null;
+
+    let legs = [];
+    if (targetCurrency !== currency) {
+      legs = currency ? this.getConversionLegs(currency, targetCurrency) : null;
+      if (!legs) throw new Error(`Cannot convert ${symbol} from ${currency || 'unknown currency'} to ${targetCurrency}`);
+    }
+
+    let unitFactor = 1;
+    if (targetUnit !== (info.unit || null)) {
+      const type = this.getUnitType(info.unit);
+      const source = type ? UNITS[type].find(unit => unit.id === info.unit) : null;
+      const target = type ? UNITS[type].find(unit => unit.id === targetUnit) : null;
+      if (!source || !target) throw new Error(`Cannot convert ${symbol} from ${info.unit || 'no unit'} to ${targetUnit}`);
+      unitFactor = target.factor / source.factor;
+    }
+
+    // Rates come from bars up to options.to, with the bar in progress at that time cut off there too.
+    const toTime = options.to === undefined ? Infinity : options.to;
+    const series = legs.map(leg => {
+      const history = this.isResolutionSupported(leg.symbol, resolution)
+        ? this.getHistoryBars(leg.symbol, resolution, toTime, toTime, 1)
+        : null;
+      const bars = history ? history.series : this.historicalData[leg.symbol] || [];
+      const end = this.findFirstIndex(bars, toTime + 1);
+      return { ...leg, bars, end, last: history ? history.bars[0] : null };
+    });
+
+    return {
+      currency: targetCurrency,
+      unit: targetUnit,
+      converted: legs.length > 0 || unitFactor !== 1,
+      dependencies: legs.map(leg => leg.symbol),
+      rateAt: (time) => {
+        let rate = unitFactor;
+        for (const leg of series) {
+          const index = Math.min(this.findFirstIndex(leg.bars, time + 1), leg.end) - 1;
+          const bar = index === leg.end - 1 && leg.last ? leg.last : leg.bars[index];
+          if (!bar) return null;
+          rate *= leg.invert ? 1 / bar.close : bar.close;
+        }
+        return rate;
+      }
+    };
+  }
+
+  convertBars(symbol, bars, converter) {
+    if (!converter.converted) return bars;
+
+    const decimals = this.getPriceDecimals(symbol);
+    const round = (value) => parseFloat(value.toFixed(decimals));
+    const converted = [];
+    for (const bar of bars) {
+      const rate = converter.rateAt(bar.time);
+      if (!rate || !Number.isFinite(rate)) continue;
+      converted.push({
+        time: bar.time,
+        open: round(bar.open * rate),
+        high: round(bar.high * rate),
+        low: round(bar.low * rate),
+        close: round(bar.close * rate),
+        volume: bar.volume
+      });
+    }
+    return converted;
+  }
+
+  getPriceDecimals(symbol) {
+    const info = this.symbols[symbol] || {};
+    return Math.max(0, Math.round(Math.log10((info.pricescale || 100) / (info.minmov || 1))));
+  }
+
+  getQuote(symbol, asOf = Infinity, converter = null) {
+    const info = this.symbols[symbol];
+    const allBars = this.historicalData[symbol];
+    if (!info || !allBars || allBars.length === 0) return null;
+
+    const bars = asOf === Infinity ? allBars : allBars.slice(0, this.findFirstIndex(allBars, asOf + 1));
+    if (bars.length === 0) return null;
+
+    const latestBar = bars[bars.length - 1];
+    const sessionStart = this.getSessionStart(symbol, latestBar.time);
+
+    let first = bars.length - 1;
+    while (first > 0 && bars[first - 1].time >= sessionStart) {
+      first--;
+    }
+
+    const rate = converter && converter.converted ? converter.rateAt(latestBar.time) : 1;
+    if (!rate || !Number.isFinite(rate)) return null;
+
+    const sessionBars = bars.slice(first);
+    const sessionBar = this.createResampledBar(sessionBars, sessionBars[0].time);
+    const decimals = this.getPriceDecimals(symbol);
+    const round = (value) => parseFloat(value.toFixed(decimals));
+    const convert = (value) => rate === 1 ? value : round(value * rate);
+
+    const lastPrice = convert(latestBar.close);
+    const prevClose = convert(first > 0 ? bars[first - 1].close : sessionBars[0].open);
+    const tickSize = (info.minmov || 1) / (info.pricescale || 100);
+    const spread = (info.spread_ticks !== undefined ? info.spread_ticks : 2) * tickSize * rate;
+    const change = lastPrice - prevClose;
+
+    return {
+      ch: round(change),
+      chp: prevClose ? parseFloat((change / prevClose * 100).toFixed(2)) : 0,
+      short_name: symbol,
+      exchange: info.exchange,
+      description: info.name,
+      lp: lastPrice,
+      ask: round(lastPrice + spread / 2),
+      bid: round(lastPrice - spread / 2),
+      spread: round(spread),
+      open_price: convert(sessionBars[0].open),
+      high_price: convert(sessionBar.high),
+      low_price: convert(sessionBar.low),
+      prev_close_price: prevClose,
+      volume: sessionBar.volume,
+      ...(converter && converter.currency ? { currency_code: converter.currency } : {})
+    };
+  }
+
+  parseResolution(resolution) {
+    const match = /^(\d*)([SDWM]?)$/.exec(String(resolution || '').trim().toUpperCase());
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const multiplier = match[1] ? parseInt(match[1]) : 1;
+    if (multiplier < 1) return null;
+
+    const unit = match[2] || null;
+    const unitSeconds = { S: 1, D: 86400, W: 604800, M: 2592000 };
+
+    return {
+      multiplier,
+      unit,
+      seconds: multiplier * (unit ? unitSeconds[unit] : 60),
+      normalized: unit ? `${multiplier}${unit}` : `${multiplier}`
+    };
+  }
+
+  normalizeResolution(resolution) {
+    const parsed = this.parseResolution(resolution);
+    return parsed ? parsed.normalized : null;
+  }
+
+  getResolutionUnit(resolution) {
+    const parsed = this.parseResolution(resolution);
+    return parsed ? parsed.unit : null;
+  }
+
+  isSessionResolution(resolution) {
+    return ['D', 'W', 'M'].includes(this.getResolutionUnit(resolution));
+  }
+
+  isResolutionSupported(symbol, resolution) {
+    const info = this.symbols[symbol];
+    const parsed = this.parseResolution(resolution);
+    if (!info || !parsed) return false;
+
+    if (parsed.unit === 'D' && info.has_daily === false) return false;
+    if ((parsed.unit === 'W' || parsed.unit === 'M') && info.has_weekly_and_monthly === false) return false;
+    if ((parsed.unit === null || parsed.unit === 'S') && info.has_intraday === false) return false;
+
+    const sources = this.sourceData[symbol] ? this.getSourceResolutions(symbol) : this.getNativeResolutions(symbol);
+    return sources.some(source => this.canBuildResolution(source, parsed.normalized));
+  }
+
+  getResolutionCapabilities(symbol) {
+    const supported = this.getSupportedResolutions(symbol).map(resolution => this.parseResolution(resolution));
+    const multipliers = (unit) => supported
+      .filter(parsed => parsed.unit === unit)
+      .map(parsed => String(parsed.multiplier));
+
+    const secondsMultipliers = multipliers('S');
+    const intradayMultipliers = multipliers(null);
+    const dailyMultipliers = multipliers('D');
+    const weeklyMultipliers = multipliers('W');
+    const monthlyMultipliers = multipliers('M');
+
+    return {
+      has_seconds: secondsMultipliers.length > 0,
+      seconds_multipliers: secondsMultipliers,
+      has_intraday: intradayMultipliers.length > 0 || secondsMultipliers.length > 0,
+      intraday_multipliers: intradayMultipliers,
+      has_daily: dailyMultipliers.length > 0,
+      daily_multipliers: dailyMultipliers,
+      has_weekly_and_monthly: weeklyMultipliers.length > 0 || monthlyMultipliers.length > 0,
+      weekly_multipliers: weeklyMultipliers,
+      monthly_multipliers: monthlyMultipliers
+    };
+  }
+
+  getExchanges() {
+    const exchanges = [...EXCHANGES];
+    for (const info of this.getListedSymbols().map(symbol => this.symbols[symbol])) {
+      if (!exchanges.some(exchange => exchange.value === info.exchange)) {
+        exchanges.push({ value: info.exchange, name: info.exchange, desc: info.exchange });
+      }
+    }
+    return exchanges;
+  }
+
+  getSupportedResolutions(symbol) {
+    return STANDARD_RESOLUTIONS.filter(resolution => this.isResolutionSupported(symbol, resolution));
+  }
+
+  getAllSupportedResolutions() {
+    const supported = new Set();
+    for (const symbol of this.getListedSymbols()) {
+      for (const resolution of this.getSupportedResolutions(symbol)) supported.add(resolution);
+    }
+    return STANDARD_RESOLUTIONS.filter(resolution => supported.has(resolution));
+  }
+
+  getSymbolProfile(symbol) {
+    const basePrices = {
+      'EURUSD': 1.0800, 'GBPUSD': 1.2600, 'USDJPY': 149.50, 'USDCHF': 0.8800,
+      'AUDUSD': 0.6650, 'USDCAD': 1.3450, 'NZDUSD': 0.6150, 'GBPJPY': 188.00,
+      'AUDJPY': 99.30, 'CADJPY': 111.20, 'XAUUSD': 2030.00, 'USOIL': 74.50,
+      'SPX500': 4580.00, 'US30': 37800.00, 'NAS100': 15950.00, 'NIFTY': 21350.00,
+      'BTCUSDT': 42500.00, 'USDINR': 83.20
+    };
+
+    let volatility = 0.08;
+    if (['XAUUSD', 'USOIL'].includes(symbol)) volatility = 0.25;
+    else if (symbol === 'BTCUSDT') volatility = 0.65;
+    else if (['SPX500', 'US30', 'NAS100', 'NIFTY'].includes(symbol)) volatility = 0.18;
+
+    let volume = 55000;
+    if (symbol === 'BTCUSDT') volume = 550;
+    else if (symbol.includes('USD') || symbol.includes('JPY')) volume = 12500;
+
+    let decimalPlaces = 2;
+    if (['USDJPY', 'GBPJPY', 'AUDJPY', 'CADJPY'].includes(symbol)) {
+      decimalPlaces = 3;
+    } else if (['EURUSD', 'GBPUSD', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD'].includes(symbol)) {
+      decimalPlaces = 5;
+    } else if (symbol === 'USDINR') {
+      decimalPlaces = 4;
+    }
+
+    const config = (this.symbols[symbol] || {}).generator || {};
+    const profile = {
+      model: config.model || 'gbm',
+      basePrice: basePrices[symbol] || 100.0,
+      volatility,
+      drift: 0,
+      meanReversion: 20,
+      meanPrice: null,
+      jumpIntensity: 0.5,
+      jumpMean: 0,
+      jumpVolatility: 0.02,
+      volume,
+      seasonality: config.seasonality !== false,
+      seed: config.seed !== undefined ? config.seed : null,
+      endTime: parseTimestamp(config.end_time),
+      decimalPlaces
+    };
+
+    for (const [param, key] of Object.entries(GENERATOR_PARAMS)) {
+      if (config[param] !== undefined) profile[key] = config[param];
+    }
+    if (profile.meanPrice === null) profile.meanPrice = profile.basePrice;
+
+    return profile;
+  }
+
+  generateSampleDataForSymbol(symbol, resolution = this.getNativeResolutions(symbol)[0]) {
+    const bars = this.generator.generateSeries(symbol, resolution);
+
+    this.setSourceData(symbol, resolution, bars);
+    this.generatedSources.add(`${symbol}_${this.normalizeResolution(resolution)}`);
+    if (!this.qualityReports[symbol]) this.qualityReports[symbol] = {};
+    this.qualityReports[symbol][this.normalizeResolution(resolution)] = this.validateBars(symbol, bars, resolution).report;
+  }
+
+  generateSampleData() {
+    const symbols = Object.keys(this.symbols);
+    for (const symbol of symbols.filter(s => !this.symbols[s].expression)) {
+      this.generateSampleDataForSymbol(symbol);
+    }
+    for (const symbol of symbols.filter(s => this.symbols[s].expression)) {
+      this.loadSymbolData(symbol);
+    }
+  }
+}
+
+class StreamingServer {
+  constructor(store, replay = null, auth = null) {
+    this.store = store;
+    this.replay = replay;
+    this.auth = auth;
+    this.wss = null;
+    this.subscriptions = new Map();
+    this.store.addInUseCheck(symbol => [...this.subscriptions.values()].some(subscription => subscription.symbol === symbol));
+    this.store.on('bar', (symbol, bar, previous) => this.handleBarUpdate(symbol, bar, previous));
+    this.store.on('data', (symbol) => this.refreshSymbol(symbol));
+    if (this.replay) {
+      this.replay.on('advance', (session, previous) => this.handleReplayAdvance(session, previous));
+      this.replay.on('closed', (session) => this.closeReplaySession(session));
+    }
+  }
+
+  attach(server, streamPath = '/stream') {
+    this.wss = new WebSocketServer({ server, path: streamPath });
+
+    this.wss.on('connection', (socket, req) => {
+      socket.isAlive = true;
+      socket.subscriptions = new Set();
+
+      if (this.auth && this.auth.enabled) {
+        const { principal, error } = this.auth.authenticate(req);
+        if (!principal) {
+          logger.warn('Stream client rejected', { remote_address: req.socket.remoteAddress, error });
+          return socket.close(4401, error);
+        }
+        socket.principal = principal;
+      }
+      socket.client = this.auth ? this.auth.getClientId(socket.principal, req.socket.remoteAddress) : null;
+      logger.info('Stream client connected', {
+        remote_address: req.socket.remoteAddress,
+        client: socket.principal ? socket.principal.id : undefined
+      });
+
+      socket.on('pong', () => { socket.isAlive = true; });
+      socket.on('message', (message) => this.handleMessage(socket, message));
+      socket.on('close', () => {
+        for (const key of socket.subscriptions) {
+          this.removeSubscriber(key, socket);
+        }
+        logger.info('Stream client disconnected', { remote_address: req.socket.remoteAddress });
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (!socket.isAlive) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, 30000);
+
+    this.wss.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  handleMessage(socket, message) {
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Invalid JSON message' });
+    }
+
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return this.send(socket, { type: 'error', message: 'Message must be a JSON object' });
+    }
+    for (const field of ['symbol', 'resolution', 'replay_session']) {
+      if (request[field] !== undefined && request[field] !== null && typeof request[field] !== 'string') {
+        return this.send(socket, { type: 'error', message: `${field} must be a string` });
+      }
+    }
+
+    try {
+      this.processMessage(socket, request);
+    } catch (error) {
+      logger.error('Stream message failed', { error, stack: error.stack });
+      this.send(socket, { type: 'error', message: 'Internal error processing message' });
+    }
+  }
+
+  processMessage(socket, request) {
+    const symbol = this.store.resolveSymbol(request.symbol) || (request.symbol || '').toUpperCase();
+    const resolution = this.store.normalizeResolution(request.resolution || '5') || String(request.resolution);
+    const sessionId = request.replay_session || null;
+    const key = sessionId ? `${symbol}_${resolution}_${sessionId}` : `${symbol}_${resolution}`;
+
+    if (request.action === 'subscribe') {
+      if (!this.store.symbols[symbol] || (this.auth && !this.auth.isEntitled(socket.principal, symbol))) {
+        return this.send(socket, { type: 'error', message: `Symbol ${symbol} not found`, symbol });
+      }
+
+      if (!this.store.isResolutionSupported(symbol, resolution)) {
+        return this.send(socket, {
+          type: 'error',
+          message: `Unsupported resolution ${resolution} for ${symbol}`,
+          symbol,
+          resolution
+        });
+      }
+
+      const session = sessionId && this.replay ? this.replay.get(sessionId, socket.client) : null;
+      if (sessionId && !session) {
+        return this.send(socket, { type: 'error', message: `Replay session ${sessionId} not found`, symbol });
+      }
+      if (session && session.symbol !== symbol) {
+        return this.send(socket, { type: 'error', message: `Replay session ${sessionId} is for ${session.symbol}, not ${symbol}`, symbol });
+      }
+
+      socket.subscriptions.add(key);
+      this.addSubscriber(key, symbol, resolution, socket, session);
+
+      this.send(socket, {
+        type: 'subscribed',
+        symbol,
+        resolution,
+        replay_session: sessionId || undefined,
+        bar: this.subscriptions.get(key).bar
+      });
+    } else if (request.action === 'unsubscribe') {
+      socket.subscriptions.delete(key);
+      this.removeSubscriber(key, socket);
+      this.send(socket, { type: 'unsubscribed', symbol, resolution });
+    } else {
+      this.send(socket, { type: 'error', message: `Unknown action: ${request.action}` });
+    }
+  }
+
+  addSubscriber(key, symbol, resolution, socket, session = null) {
+    if (!this.subscriptions.has(key)) {
+      const bar = session
+        ? this.getReplayBar(symbol, resolution, session.cursor)
+        : this.store.getCurrentBar(symbol, resolution);
+      this.subscriptions.set(key, { symbol, resolution, session, bar, clients: new Set() });
+    }
+    this.subscriptions.get(key).clients.add(socket);
+  }
+
+  removeSubscriber(key, socket) {
+    const subscription = this.subscriptions.get(key);
+    if (!subscription) return;
+
+    subscription.clients.delete(socket);
+    if (subscription.clients.size === 0) {
+      this.subscriptions.delete(key);
+    }
+  }
+
+  handleBarUpdate(symbol, bar, previous = null) {
+    const tickClients = new Set();
+    const bars = this.store.historicalData[symbol];
+    const latest = bars[bars.length - 1] === bar;
+
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.symbol !== symbol || subscription.session) continue;
+
+      // Off-session base bars leave session-bound bars as they are, so a bar only closes when the next one starts.
+      const current = subscription.bar;
+      subscription.bar = latest
+        ? this.store.foldCurrentBar(symbol, subscription.resolution, current, bar, previous)
+        : this.store.getCurrentBar(symbol, subscription.resolution);
+      if (current && subscription.bar && subscription.bar.time > current.time) {
+        this.broadcast(subscription.clients, {
+          type: 'bar',
+          symbol,
+          resolution: subscription.resolution,
+          closed: true,
+          bar: current
+        });
+      }
+      if (subscription.bar !== current) {
+        this.broadcast(subscription.clients, {
+          type: 'bar',
+          symbol,
+          resolution: subscription.resolution,
+          closed: false,
+          bar: subscription.bar
+        });
+      }
+
+      for (const client of subscription.clients) tickClients.add(client);
+    }
+
+    this.broadcast(tickClients, {
+      type: 'tick',
+      symbol,
+      time: bar.time,
+      price: bar.close,
+      volume: bar.volume
+    });
+  }
+
+  refreshSymbol(symbol) {
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.symbol === symbol) {
+        subscription.bar = subscription.session
+          ? this.getReplayBar(symbol, subscription.resolution, subscription.session.cursor)
+          : this.store.getCurrentBar(symbol, subscription.resolution);
+      }
+    }
+  }
+
+  getReplayBar(symbol, resolution, cursor) {
+    const history = this.store.getHistoryBars(symbol, resolution, 0, cursor, 1);
+    return history && history.bars.length > 0 ? history.bars[0] : null;
+  }
+
+  handleReplayAdvance(session, previous) {
+    const tickClients = new Set();
+
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.session !== session) continue;
+
+      const { symbol, resolution } = subscription;
+      const history = subscription.bar && session.cursor > previous
+        ? this.store.getHistoryBars(symbol, resolution, subscription.bar.time, session.cursor)
+        : null;
+
+      if (!history || history.bars.length === 0 || history.bars.length > 500) {
+        subscription.bar = this.getReplayBar(symbol, resolution, session.cursor);
+        this.broadcast(subscription.clients, {
+          type: 'replay_reset',
+          symbol,
+          resolution,
+          replay_session: session.id,
+          cursor: session.cursor,
+          bar: subscription.bar
+        });
+        continue;
+      }
+
+      history.bars.forEach((bar, index) => {
+        this.broadcast(subscription.clients, {
+          type: 'bar',
+          symbol,
+          resolution,
+          replay_session: session.id,
+          closed: index < history.bars.length - 1,
+          bar
+        });
+      });
+      subscription.bar = history.bars[history.bars.length - 1];
+
+      for (const client of subscription.clients) tickClients.add(client);
+    }
+
+    const bars = this.store.historicalData[session.symbol] || [];
+    const bar = bars[this.store.findFirstIndex(bars, session.cursor + 1) - 1];
+    if (bar) {
+      this.broadcast(tickClients, {
+        type: 'tick',
+        symbol: session.symbol,
+        replay_session: session.id,
+        time: bar.time,
+        price: bar.close,
+        volume: bar.volume
+      });
+    }
+  }
+
+  closeReplaySession(session) {
+    for (const [key, subscription] of this.subscriptions) {
+      if (subscription.session !== session) continue;
+
+      this.broadcast(subscription.clients, {
+        type: 'unsubscribed',
+        symbol: subscription.symbol,
+        resolution: subscription.resolution,
+        replay_session: session.id,
+        reason: 'Replay session closed'
+      });
+      for (const client of subscription.clients) client.subscriptions.delete(key);
+      this.subscriptions.delete(key);
+    }
+  }
+
+  broadcast(clients, payload) {
+    if (clients.size === 0) return;
+    const message = JSON.stringify(payload);
+    for (const client of clients) {
+      if (client.readyState === WebSocket.OPEN) client.send(message);
+    }
+  }
+
+  send(socket, payload) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+  }
+
+  getStats() {
+    return {
+      clients: this.wss ? this.wss.clients.size : 0,
+      subscriptions: this.subscriptions.size
+    };
+  }
+}
+
+class MarketSimulator {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.intervalMs = options.intervalMs || 1000;
+    this.maxBackfillBars = options.maxBackfillBars || 288;
+    this.timer = null;
+    this.startedAt = null;
+    this.barsAppended = 0;
+    this.ticksGenerated = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.startedAt = Math.floor(Date.now() / 1000);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    logger.info('Market simulator started', { interval_ms: this.intervalMs });
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Market simulator stopped');
+  }
+
+  tick() {
+    const now = Math.floor(Date.now() / 1000);
+    for (const symbol of Object.keys(this.store.symbols)) {
+      if (!this.store.isDerived(symbol)) this.advanceSymbol(symbol, now);
+    }
+  }
+
+  advanceSymbol(symbol, now) {
+    const intervalSeconds = this.store.getBaseSeconds(symbol);
+    const currentPeriod = Math.floor(now / intervalSeconds) * intervalSeconds;
+    const bars = this.store.historicalData[symbol] || [];
+    const profile = this.store.getSymbolProfile(symbol);
+    const last = bars[bars.length - 1];
+
+    if (!last) {
+      this.appendBar(symbol, profile.basePrice, currentPeriod, profile, now, intervalSeconds);
+      return;
+    }
+
+    if (last.time >= currentPeriod) {
+      this.updateBar(symbol, last, profile, intervalSeconds);
+      return;
+    }
+
+    let time = last.time + intervalSeconds;
+    if ((currentPeriod - last.time) / intervalSeconds > this.maxBackfillBars) {
+      time = currentPeriod - (this.maxBackfillBars - 1) * intervalSeconds;
+    }
+
+    let price = last.close;
+    for (; time <= currentPeriod; time += intervalSeconds) {
+      price = this.appendBar(symbol, price, time, profile, now, intervalSeconds).close;
+    }
+  }
+
+  appendBar(symbol, openPrice, time, profile, now, intervalSeconds) {
+    const bar = time < now - intervalSeconds
+      ? this.store.generator.generateBar(symbol, openPrice, time, intervalSeconds, profile)
+      : this.openBar(openPrice, time, profile);
+    this.store.upsertBar(symbol, bar);
+    this.barsAppended++;
+    return bar;
+  }
+
+  openBar(openPrice, time, profile) {
+    const price = parseFloat(openPrice.toFixed(profile.decimalPlaces));
+    return { time, open: price, high: price, low: price, close: price, volume: 0 };
+  }
+
+  updateBar(symbol, last, profile, intervalSeconds) {
+    const generator = this.store.generator;
+    const ticksPerBar = Math.max(1, (intervalSeconds * 1000) / this.intervalMs);
+    const seasonality = generator.getSeasonality(symbol, last.time, intervalSeconds, profile);
+    const logPrice = generator.step(Math.log(last.close), intervalSeconds / ticksPerBar, profile, Math.random, seasonality);
+    const price = parseFloat(Math.exp(logPrice).toFixed(profile.decimalPlaces));
+
+    this.store.upsertBar(symbol, {
+      time: last.time,
+      open: last.open,
+      high: Math.max(last.high, price),
+      low: Math.min(last.low, price),
+      close: price,
+      volume: last.volume + Math.ceil(generator.generateVolume(profile, seasonality) / ticksPerBar)
+    });
+    this.ticksGenerated++;
+  }
+
+  getStats() {
+    return {
+      enabled: this.timer !== null,
+      interval_ms: this.intervalMs,
+      started_at: this.startedAt,
+      bars_appended: this.barsAppended,
+      ticks_generated: this.ticksGenerated
+    };
+  }
+}
+
+class ReplayManager extends EventEmitter {
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.maxSpeed = options.maxSpeed || 20;
+    this.maxSessionsPerClient = options.maxSessionsPerClient || 5;
+    this.idleTimeout = (options.idleTimeoutSeconds || 1800) * 1000;
+    this.sessions = new Map();
+    this.store.addInUseCheck(symbol => [...this.sessions.values()].some(session => session.symbol === symbol));
+    this.store.on('data', (symbol) => this.refreshSymbol(symbol));
+  }
+
+  validate(data) {
+    const errors = [];
+    const symbol = this.store.resolveSymbol(data.symbol) || (data.symbol || '').toUpperCase();
+
+    if (!this.store.symbols[symbol]) {
+      errors.push(`Unknown symbol: ${symbol}`);
+    } else if (!this.store.historicalData[symbol] || this.store.historicalData[symbol].length === 0) {
+      errors.push(`No data loaded for ${symbol}`);
+    } else if (!this.store.isResolutionSupported(symbol, data.resolution || '5')) {
+      errors.push(`Unsupported resolution ${data.resolution} for ${symbol}`);
+    }
+    if (parseTimestamp(data.start_time) === null) {
+      errors.push('start_time must be a unix timestamp or ISO date');
+    }
+    if (data.speed !== undefined && this.parseSpeed(data.speed) === null) {
+      errors.push(`speed must be a number between 0 and ${this.maxSpeed}`);
+    }
+
+    return errors;
+  }
+
+  parseSpeed(value) {
+    const speed = parseFloat(value);
+    return Number.isFinite(speed) && speed > 0 && speed <= this.maxSpeed ? speed : null;
+  }
+
+  create(data, client = null) {
+    const symbol = this.store.resolveSymbol(data.symbol);
+    const session = {
+      id: crypto.randomUUID(),
+      client,
+      symbol,
+      resolution: this.store.normalizeResolution(data.resolution || '5'),
+      start_time: parseTimestamp(data.start_time),
+      cursor: null,
+      state: 'paused',
+      speed: data.speed !== undefined ? this.parseSpeed(data.speed) : 1,
+      created_at: new Date().toISOString(),
+      last_active: Date.now(),
+      timer: null
+    };
+
+    session.cursor = this.snapCursor(symbol, session.start_time);
+    this.sessions.set(session.id, session);
+    logger.info('Replay session created', {
+      session: session.id,
+      symbol,
+      resolution: session.resolution,
+      cursor: new Date(session.cursor * 1000).toISOString()
+    });
+    return session;
+  }
+
+  // Sessions belong to the client that created them; others cannot see or drive them.
+  get(id, client) {
+    this.closeIdle();
+    const session = this.sessions.get(id);
+    if (!session || session.client !== client) return null;
+
+    session.last_active = Date.now();
+    return session;
+  }
+
+  list(client = undefined) {
+    this.closeIdle();
+    const sessions = Array.from(this.sessions.values());
+    return client === undefined ? sessions : sessions.filter(session => session.client === client);
+  }
+
+  hasCapacity(client) {
+    return this.list(client).length < this.maxSessionsPerClient;
+  }
+
+  // Sessions that are not playing and have not been used for idleTimeout are closed lazily.
+  closeIdle(now = Date.now()) {
+    for (const session of [...this.sessions.values()]) {
+      if (session.state !== 'playing' && now - session.last_active > this.idleTimeout) {
+        logger.info('Replay session expired', { session: session.id, symbol: session.symbol });
+        this.remove(session.id);
+      }
+    }
+  }
+
+  remove(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    this.pause(session);
+    this.sessions.delete(id);
+    this.emit('closed', session);
+    logger.info('Replay session closed', { session: id });
+    return session;
+  }
+
+  snapCursor(symbol, time) {
+    const bars = this.store.historicalData[symbol] || [];
+    const index = this.store.findFirstIndex(bars, time + 1) - 1;
+    return index >= 0 ? bars[index].time : time;
+  }
+
+  play(session) {
+    if (session.timer) return session;
+    if (this.isFinished(session)) return session;
+
+    session.state = 'playing';
+    session.timer = setInterval(() => {
+      this.step(session, 1);
+      if (this.isFinished(session)) this.pause(session, 'finished');
+    }, Math.max(50, Math.round(1000 / session.speed)));
+    return session;
+  }
+
+  pause(session, state = 'paused') {
+    if (session.timer) {
+      clearInterval(session.timer);
+      session.timer = null;
+    }
+    session.state = state;
+    return session;
+  }
+
+  setSpeed(session, speed) {
+    session.speed = speed;
+    if (session.timer) {
+      this.pause(session);
+      this.play(session);
+    }
+    return session;
+  }
+
+  step(session, count = 1) {
+    const symbol = session.symbol;
+    const bars = this.store.historicalData[symbol] || [];
+    const baseResolution = this.store.getBaseResolution(symbol);
+    const sessionOnly = this.store.isSessionResolution(session.resolution) &&
+      !this.store.isSessionResolution(baseResolution);
+    const periodOf = (bar) => this.store.getPeriodStart(bar.time, session.resolution, symbol, baseResolution);
+
+    let index = this.store.findFirstIndex(bars, session.cursor + 1);
+    if (index >= bars.length) return session;
+
+    let period = periodOf(bars[index]);
+    let remaining = count;
+    for (index++; index < bars.length; index++) {
+      if (sessionOnly && !this.store.isInSession(symbol, bars[index].time)) continue;
+      const next = periodOf(bars[index]);
+      if (next !== period) {
+        remaining--;
+        if (remaining === 0) break;
+        period = next;
+      }
+    }
+
+    return this.moveCursor(session, bars[index - 1].time);
+  }
+
+  seek(session, time) {
+    return this.moveCursor(session, this.snapCursor(session.symbol, time));
+  }
+
+  moveCursor(session, cursor) {
+    const previous = session.cursor;
+    session.cursor = cursor;
+    if (session.state === 'finished' && !this.isFinished(session)) session.state = 'paused';
+    if (cursor !== previous) this.emit('advance', session, previous);
+    return session;
+  }
+
+  isFinished(session) {
+    const bars = this.store.historicalData[session.symbol] || [];
+    return bars.length === 0 || session.cursor >= bars[bars.length - 1].time;
+  }
+
+  refreshSymbol(symbol) {
+    for (const session of this.sessions.values()) {
+      if (session.symbol === symbol && !this.store.historicalData[symbol]) this.remove(session.id);
+    }
+  }
+
+  describe(session) {
+    const bar = this.store.getHistoryBars(session.symbol, session.resolution, 0, session.cursor, 1);
+    return {
+      id: session.id,
+      symbol: session.symbol,
+      resolution: session.resolution,
+      state: session.state,
+      speed: session.speed,
+      start_time: session.start_time,
+      cursor: session.cursor,
+      cursor_readable: new Date(session.cursor * 1000).toISOString(),
+      bar: bar && bar.bars.length > 0 ? bar.bars[0] : null,
+      created_at: session.created_at
+    };
+  }
+
+  getStats() {
+    this.closeIdle();
+    return {
+      sessions: this.sessions.size,
+      playing: this.list().filter(session => session.state === 'playing').length
+    };
+  }
+}
+
+class IndicatorCalculator {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.maxIndicators = options.maxIndicators || 10;
+    this.maxPeriod = options.maxPeriod || 500;
+  }
+
+  parse(spec) {
+    const items = String(spec || '').split(',').map(item => item.trim()).filter(Boolean);
+    const indicators = [];
+    const errors = [];
+
+    if (items.length === 0) errors.push('indicators is required, e.g. sma:20,rsi:14');
+    if (items.length > this.maxIndicators) errors.push(`At most ${this.maxIndicators} indicators per request`);
+
+    for (const item of items) {
+      const [rawName, ...rawParams] = item.split(':');
+      const name = rawName.toLowerCase();
+      const definition = INDICATORS[name];
+      if (!definition) {
+        errors.push(`Unknown indicator ${rawName} (expected ${Object.keys(INDICATORS).join(', ')})`);
+        continue;
+      }
+      if (rawParams.length > definition.params.length) {
+        errors.push(`${name} takes at most ${definition.params.length} parameters`);
+        continue;
+      }
+
+      const params = definition.params.map((param, index) =>
+        rawParams[index] !== undefined && rawParams[index] !== '' ? Number(rawParams[index]) : param.default);
+      const invalid = definition.params.find((param, index) => param.integer
+        ? !Number.isInteger(params[index]) || params[index] < 1 || params[index] > this.maxPeriod
+        : !Number.isFinite(params[index]) || params[index] <= 0);
+      if (invalid) {
+        errors.push(invalid.integer
+          ? `${name} ${invalid.name} must be an integer between 1 and ${this.maxPeriod}`
+          : `${name} ${invalid.name} must be a positive number`);
+        continue;
+      }
+      if (name === 'macd' && params[0] >= params[1]) {
+        errors.push('macd fast period must be shorter than the slow period');
+        continue;
+      }
+
+      const key = [name, ...params].join('_');
+      if (!indicators.some(indicator => indicator.key === key)) {
+        indicators.push({ name, params, key, outputs: definition.outputs || null });
+      }
+    }
+
+    return { indicators, errors };
+  }
+
+  getWarmup(indicators) {
+    return Math.max(0, ...indicators.map(({ name, params }) => {
+      switch (name) {
+        case 'sma':
+        case 'bbands':
+          return params[0] - 1;
+        case 'ema':
+          return params[0] * 5;
+        case 'rsi':
+        case 'atr':
+          return params[0] * 10;
+        case 'macd':
+          return (params[1] + params[2]) * 5;
+        default:
+          return 0;
+      }
+    }));
+  }
+
+  compute(symbol, indicators, bars) {
+    const closes = bars.map(bar => bar.close);
+    const priceDecimals = this.store.getPriceDecimals(symbol) + 2;
+    const columns = {};
+    const add = (key, values, decimals = priceDecimals) => {
+      columns[key] = values.map(value => value === null || !Number.isFinite(value)
+        ? null
+        : parseFloat(value.toFixed(decimals)));
+    };
+
+    for (const { name, params, key } of indicators) {
+      switch (name) {
+        case 'sma':
+          add(key, this.sma(closes, params[0]));
+          break;
+        case 'ema':
+          add(key, this.ema(closes, params[0]));
+          break;
+        case 'rsi':
+          add(key, this.rsi(closes, params[0]), 2);
+          break;
+        case 'macd': {
+          const { macd, signal, histogram } = this.macd(closes, params[0], params[1], params[2]);
+          add(`${key}_macd`, macd);
+          add(`${key}_signal`, signal);
+          add(`${key}_histogram`, histogram);
+          break;
+        }
+        case 'bbands': {
+          const { upper, middle, lower } = this.bbands(closes, params[0], params[1]);
+          add(`${key}_upper`, upper);
+          add(`${key}_middle`, middle);
+          add(`${key}_lower`, lower);
+          break;
+        }
+        case 'atr':
+          add(key, this.atr(bars, params[0]));
+          break;
+        case 'vwap':
+          add(key, this.vwap(symbol, bars));
+          break;
+      }
+    }
+
+    return columns;
+  }
+
+  sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+  }
+
+  ema(values, period, alpha = 2 / (period + 1)) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    let average = 0;
+    for (let i = start; i < start + period; i++) average += values[i] / period;
+    result[start + period - 1] = average;
+
+    for (let i = start + period; i < values.length; i++) {
+      average = alpha * values[i] + (1 - alpha) * average;
+      result[i] = average;
+    }
+    return result;
+  }
+
+  rma(values, period) {
+    return this.ema(values, period, 1 / period);
+  }
+
+  rsi(values, period) {
+    const gains = [null];
+    const losses = [null];
+    for (let i = 1; i < values.length; i++) {
+      const change = values[i] - values[i - 1];
+      gains.push(Math.max(change, 0));
+      losses.push(Math.max(-change, 0));
+    }
+
+    const averageGains = this.rma(gains, period);
+    const averageLosses = this.rma(losses, period);
+    return averageGains.map((gain, i) => {
+      const loss = averageLosses[i];
+      if (gain === null || loss === null) return null;
+      if (loss === 0) return 100;
+      if (gain === 0) return 0;
+      return 100 - 100 / (1 + gain / loss);
+    });
+  }
+
+  macd(values, fast, slow, signalPeriod) {
+    const fastEma = this.ema(values, fast);
+    const slowEma = this.ema(values, slow);
+    const macd = fastEma.map((value, i) => value === null || slowEma[i] === null ? null : value - slowEma[i]);
+    const signal = this.ema(macd, signalPeriod);
+    const histogram = macd.map((value, i) => value === null || signal[i] === null ? null : value - signal[i]);
+    return { macd, signal, histogram };
+  }
+
+  bbands(values, period, multiplier) {
+    const middle = this.sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+      let variance = 0;
+      for (let j = i - period + 1; j <= i; j++) variance += (values[j] - middle[i]) ** 2;
+      const deviation = Math.sqrt(variance / period);
+      upper[i] = middle[i] + multiplier * deviation;
+      lower[i] = middle[i] - multiplier * deviation;
+    }
+    return { upper, middle, lower };
+  }
+
+  atr(bars, period) {
+    const ranges = bars.map((bar, i) => i === 0
+      ? bar.high - bar.low
+      : Math.max(bar.high - bar.low, Math.abs(bar.high - bars[i - 1].close), Math.abs(bar.low - bars[i - 1].close)));
+    return this.rma(ranges, period);
+  }
+
+  vwap(symbol, bars) {
+    const result = new Array(bars.length).fill(null);
+    let anchor = null;
+    let volume = 0;
+    let value = 0;
+
+    for (let i = 0; i < bars.length; i++) {
+      const bar = bars[i];
+      const tradingDay = this.store.getTradingDay(symbol, bar.time);
+      if (tradingDay !== anchor) {
+        anchor = tradingDay;
+        volume = 0;
+        value = 0;
+      }
+
+      volume += bar.volume;
+      value += (bar.high + bar.low + bar.close) / 3 * bar.volume;
+      result[i] = volume > 0 ? value / volume : null;
+    }
+    return result;
+  }
+}
+
+class HistoryExporter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.chunkBars = options.chunkBars || 1000;
+    this.chunkBytes = options.chunkBytes || 64 * 1024;
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  formatTime(time, timezone) {
+    if (!timezone) return time;
+
+    const offset = this.store.getTimezoneOffset(timezone, time);
+    const sign = offset < 0 ? '-' : '+';
+    const minutes = Math.abs(offset) / 60;
+    const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mm = String(minutes % 60).padStart(2, '0');
+    return `${new Date((time + offset) * 1000).toISOString().slice(0, 19)}${sign}${hh}:${mm}`;
+  }
+
+  *iterate({ symbol, bars, converter }) {
+    for (let i = 0; i < bars.length; i += this.chunkBars) {
+      const chunk = bars.slice(i, i + this.chunkBars);
+      yield* converter ? this.store.convertBars(symbol, chunk, converter) : chunk;
     }
+  }
 
-    for (const symbol of Object.keys(this.symbols)) {
-      const filePath = path.join(dataDir, `${symbol}.json`);
-      try {
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        this.historicalData[symbol] = this.convertJsonToBars(data);
-        console.log(`Loaded ${this.historicalData[symbol].length} bars for ${symbol}`);
-      } catch (error) {
-        console.log(`Data file for ${symbol} not found, generating sample data`);
-        this.generateSampleDataForSymbol(symbol);
+  *align(series, inner = false) {
+    const iterators = series.map(entry => this.iterate(entry));
+    const heads = iterators.map(iterator => iterator.next());
+
+    while (true) {
+      let time = Infinity;
+      for (const head of heads) {
+        if (!head.done && head.value.time < time) time = head.value.time;
       }
+      if (time === Infinity) return;
+
+      const bars = heads.map((head, i) => {
+        if (head.done || head.value.time !== time) return null;
+        heads[i] = iterators[i].next();
+        return head.value;
+      });
+      if (inner && bars.includes(null)) continue;
+      yield { time, bars };
     }
   }
 
-  convertJsonToBars(data) {
-    const bars = [];
+  *csv(series, options, stats) {
+    const prefix = (entry, field) => series.length > 1 ? `${entry.symbol}_${field}` : field;
+    yield `time,${series.map(entry => EXPORT_FIELDS.map(field => prefix(entry, field)).join(',')).join(',')}\n`;
 
-    if (Array.isArray(data)) {
-      for (const item of data) {
-        const bar = this.normalizeBarData(item);
-        if (bar) bars.push(bar);
-      }
-    } else if (typeof data === 'object') {
-      if (data.time && data.open) {
-        for (let i = 0; i < data.time.length; i++) {
-          bars.push({
-            time: data.time[i],
-            open: data.open[i],
-            high: data.high[i],
-            low: data.low[i],
-            close: data.close[i],
-            volume: data.volume ? data.volume[i] : 0
-          });
-        }
-      } else {
-        const dataArray = data.data || data.bars || [];
-        for (const item of dataArray) {
-          const bar = this.normalizeBarData(item);
-          if (bar) bars.push(bar);
-        }
-      }
+    for (const row of this.align(series, options.inner)) {
+      this.count(stats, series, row);
+      const values = row.bars.map(bar => EXPORT_FIELDS.map(field => bar ? bar[field] : '').join(','));
+      yield `${this.formatTime(row.time, options.timezone)},${values.join(',')}\n`;
     }
-
-    bars.sort((a, b) => a.time - b.time);
-    return bars;
   }
 
-  normalizeBarData(item) {
-    try {
-      let timestamp = item.time || item.timestamp || item.t || item.date;
+  *ndjson(series, options, stats) {
+    const pick = (bar) => bar ? Object.fromEntries(EXPORT_FIELDS.map(field => [field, bar[field]])) : null;
 
-      if (!timestamp) return null;
+    for (const row of this.align(series, options.inner)) {
+      this.count(stats, series, row);
+      const record = series.length > 1
+        ? { time: this.formatTime(row.time, options.timezone), ...Object.fromEntries(series.map((entry, i) => [entry.symbol, pick(row.bars[i])])) }
+        : { time: this.formatTime(row.time, options.timezone), ...pick(row.bars[0]) };
+      yield `${JSON.stringify(record)}\n`;
+    }
+  }
 
-      if (typeof timestamp === 'string') {
-        timestamp = new Date(timestamp).getTime() / 1000;
+  *udf(series, options, stats) {
+    const column = function* (exporter, getValue) {
+      let first = true;
+      for (const row of exporter.align(series, options.inner)) {
+        yield `${first ? '' : ','}${JSON.stringify(getValue(row))}`;
+        first = false;
       }
+    };
+    const columns = function* (exporter, index) {
+      for (const field of EXPORT_FIELDS) {
+        yield `${field === EXPORT_FIELDS[0] ? '' : ','}"${field[0]}":[`;
+        yield* column(exporter, row => row.bars[index] ? row.bars[index][field] : null);
+        yield ']';
+      }
+    };
 
-      timestamp = parseFloat(timestamp);
-      if (timestamp > 1e10) {
-        timestamp = Math.floor(timestamp / 1000);
-      } else {
-        timestamp = Math.floor(timestamp);
+    yield '{"s":"ok","t":[';
+    yield* column(this, row => {
+      this.count(stats, series, row);
+      return this.formatTime(row.time, options.timezone);
+    });
+    yield '],';
+
+    if (series.length === 1) {
+      yield* columns(this, 0);
+    } else {
+      yield '"symbols":{';
+      for (const [index, entry] of series.entries()) {
+        yield `${index > 0 ? ',' : ''}${JSON.stringify(entry.symbol)}:{`;
+        yield* columns(this, index);
+        yield '}';
       }
+      yield '}';
+    }
+    yield '}\n';
+  }
 
-      if (timestamp < 946684800 || timestamp > Date.now() / 1000 + 86400) {
-        return null;
+  count(stats, series, row) {
+    stats.rows++;
+    row.bars.forEach((bar, i) => {
+      if (bar) stats.bars[series[i].symbol] = (stats.bars[series[i].symbol] || 0) + 1;
+    });
+  }
+
+  *batch(chunks) {
+    let buffer = '';
+    for (const chunk of chunks) {
+      buffer += chunk;
+      if (buffer.length >= this.chunkBytes) {
+        yield buffer;
+        buffer = '';
       }
+    }
+    if (buffer) yield buffer;
+  }
 
-      return {
-        time: timestamp,
-        open: parseFloat(item.open || item.o || 0),
-        high: parseFloat(item.high || item.h || 0),
-        low: parseFloat(item.low || item.l || 0),
-        close: parseFloat(item.close || item.c || 0),
-        volume: parseInt(item.volume || item.v || 0)
-      };
+  createStream(series, options) {
+    const stats = { rows: 0, bars: {} };
+    const format = options.format === 'json' ? 'udf' : options.format;
+    return { stream: Readable.from(this.batch(this[format](series, options, stats))), stats };
+  }
+}
+
+class EventStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.eventTypes = {
+      earnings: { display: 'timescale', color: 'blue', label: 'E' },
+      news: { display: 'bar', color: 'yellow', label: 'N' },
+      economic: { display: 'timescale', color: 'red', label: 'M' },
+      annotation: { display: 'bar', color: 'green', label: 'A' }
+    };
+    this.events = this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const count = Object.values(data).reduce((sum, events) => sum + events.length, 0);
+      logger.info('Loaded chart events', { file: path.basename(this.filePath), events: count });
+      return data;
     } catch (error) {
-      console.error('Error normalizing bar data:', error);
-      return null;
+      if (error.code !== 'ENOENT') {
+        dataLoadErrors.inc({ source: 'events' });
+        logger.error('Failed to load chart events', { file: path.basename(this.filePath), error });
+      }
+      return {};
     }
   }
 
-  getCachedReplayData(symbol, resolution, fromTime, toTime) {
-    const cacheKey = `${symbol}_${resolution}_${fromTime}_${toTime}`;
-    if (this.replayCache[cacheKey]) {
-      console.log(`📦 Cache hit for replay data: ${cacheKey}`);
-      return this.replayCache[cacheKey];
+  save() {
+    writeJsonAtomic(this.filePath, this.events);
+  }
+
+  validate(data, partial = false) {
+    const errors = [];
+
+    if (!partial || data.time !== undefined) {
+      const time = this.parseTime(data.time);
+      if (time === null) errors.push('time must be a unix timestamp or ISO date');
     }
-    return null;
+    if (!partial || data.type !== undefined) {
+      if (!this.eventTypes[data.type]) {
+        errors.push(`type must be one of: ${Object.keys(this.eventTypes).join(', ')}`);
+      }
+    }
+    if (!partial || data.title !== undefined) {
+      if (!data.title || typeof data.title !== 'string') errors.push('title is required');
+    }
+    if (data.display !== undefined && !['bar', 'timescale'].includes(data.display)) {
+      errors.push('display must be "bar" or "timescale"');
+    }
+
+    return errors;
   }
 
-  cacheReplayData(symbol, resolution, fromTime, toTime, data) {
-    const cacheKey = `${symbol}_${resolution}_${fromTime}_${toTime}`;
-    this.replayCache[cacheKey] = data;
+  parseTime(value) {
+    return parseTimestamp(value);
+  }
 
-    if (Object.keys(this.replayCache).length > 100) {
-      const oldestKeys = Object.keys(this.replayCache).slice(0, 10);
-      for (const key of oldestKeys) {
-        delete this.replayCache[key];
+  list(symbol, fromTime = 0, toTime = Infinity) {
+    const symbols = symbol ? [symbol] : Object.keys(this.events);
+    const results = [];
+    for (const key of symbols) {
+      for (const event of this.events[key] || []) {
+        if (event.time >= fromTime && event.time <= toTime) results.push(event);
       }
     }
+    return results.sort((a, b) => a.time - b.time);
+  }
 
-    console.log(`💾 Cached replay data: ${cacheKey}`);
+  find(id) {
+    for (const events of Object.values(this.events)) {
+      const event = events.find(e => e.id === id);
+      if (event) return event;
+    }
+    return null;
   }
 
-  resampleData(bars, targetResolution) {
-    if (!bars || bars.length === 0) return [];
+  add(symbol, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      symbol,
+      time: this.parseTime(data.time),
+      type: data.type,
+      title: data.title,
+      text: data.text || '',
+      display: data.display || this.eventTypes[data.type].display,
+      color: data.color || this.eventTypes[data.type].color,
+      label: data.label || this.eventTypes[data.type].label,
+      created_at: new Date().toISOString()
+    };
+
+    if (!this.events[symbol]) this.events[symbol] = [];
+    this.events[symbol].push(event);
+    this.save();
+    return event;
+  }
 
-    const resolutionMinutes = this.resolutionToMinutes(targetResolution);
+  update(id, data) {
+    const event = this.find(id);
+    if (!event) return null;
 
-    if (resolutionMinutes <= this.baseTimeframe) {
-      return bars;
+    for (const field of ['type', 'title', 'text', 'display', 'color', 'label']) {
+      if (data[field] !== undefined) event[field] = data[field];
     }
+    if (data.time !== undefined) event.time = this.parseTime(data.time);
+    event.updated_at = new Date().toISOString();
 
-    const resampledBars = [];
-    let currentGroup = [];
-    const intervalSeconds = resolutionMinutes * 60;
+    this.save();
+    return event;
+  }
 
-    for (const bar of bars) {
-      const periodStart = Math.floor(bar.time / intervalSeconds) * intervalSeconds;
+  remove(id) {
+    for (const [symbol, events] of Object.entries(this.events)) {
+      const index = events.findIndex(e => e.id === id);
+      if (index === -1) continue;
 
-      if (currentGroup.length > 0 &&
-          Math.floor(currentGroup[0].time / intervalSeconds) !== Math.floor(periodStart / intervalSeconds)) {
-        const prevPeriodStart = Math.floor(currentGroup[0].time / intervalSeconds) * intervalSeconds;
-        const resampled = this.createResampledBar(currentGroup, prevPeriodStart);
-        if (resampled) resampledBars.push(resampled);
-        currentGroup = [];
+      const [event] = events.splice(index, 1);
+      if (events.length === 0) delete this.events[symbol];
+      this.save();
+      return event;
+    }
+    return null;
+  }
+}
+
+class AuthManager {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.jwtSecret = options.jwtSecret || null;
+    this.keys = new Map();
+    if (options.keysFile) this.loadKeys(options.keysFile);
+  }
+
+  get enabled() {
+    return this.keys.size > 0 || !!this.jwtSecret;
+  }
+
+  getClientId(principal, address) {
+    return principal ? `${principal.type}:${principal.id}` : `ip:${address}`;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  loadKeys(filePath) {
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [index, entry] of (data.keys || []).entries()) {
+        const errors = this.validateKey(entry);
+        if (errors.length > 0) {
+          logger.warn('Skipping invalid API key', { file: filePath, entry: index + 1, errors });
+          continue;
+        }
+
+        this.keys.set(entry.key_sha256 ? entry.key_sha256.toLowerCase() : this.hashKey(entry.key), {
+          id: entry.name || `key-${index + 1}`,
+          type: 'api_key',
+          role: entry.role || 'viewer',
+          symbols: entry.symbols || null,
+          rateLimits: entry.rate_limits || null
+        });
       }
+      logger.info('Loaded API keys', { file: filePath, keys: this.keys.size });
+    } catch (error) {
+      dataLoadErrors.inc({ source: 'api_keys' });
+      logger.error('Failed to load API keys', { file: filePath, error });
+    }
+  }
 
-      currentGroup.push(bar);
+  validateKey(entry) {
+    const errors = [];
+    if (!entry || (typeof entry.key !== 'string' && typeof entry.key_sha256 !== 'string')) {
+      errors.push('key or key_sha256 is required');
+    } else if (entry.key_sha256 && !/^[0-9a-f]{64}$/i.test(entry.key_sha256)) {
+      errors.push('key_sha256 must be a hex SHA-256 digest');
+    }
+    if (entry && entry.role !== undefined && !ROLES.includes(entry.role)) {
+      errors.push(`role must be one of ${ROLES.join(', ')}`);
+    }
+    if (entry && entry.symbols !== undefined && !this.isSymbolList(entry.symbols)) {
+      errors.push('symbols must be an array of strings');
+    }
+    if (entry && entry.rate_limits !== undefined) {
+      errors.push(...validateRateLimits(entry.rate_limits));
     }
+    return errors;
+  }
 
-    if (currentGroup.length > 0) {
-      const periodStart = Math.floor(currentGroup[currentGroup.length - 1].time / intervalSeconds) * intervalSeconds;
-      const resampled = this.createResampledBar(currentGroup, periodStart);
-      if (resampled) resampledBars.push(resampled);
+  isSymbolList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
+  getCredentials(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+    if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    return params.get('token') || params.get('api_key');
+  }
+
+  authenticate(req) {
+    const credentials = this.getCredentials(req);
+    if (!credentials) return { error: 'Authentication required' };
+
+    if (this.jwtSecret && credentials.split('.').length === 3) {
+      return this.verifyToken(credentials);
     }
 
-    return resampledBars;
+    const principal = this.keys.get(this.hashKey(credentials));
+    return principal ? { principal } : { error: 'Invalid API key' };
   }
 
-  createResampledBar(bars, periodStart) {
-    if (!bars || bars.length === 0) return null;
+  verifyToken(token) {
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'Malformed token' };
+    }
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(header) || !isObject(claims)) return { error: 'Malformed token' };
+
+    if (header.alg !== 'HS256') return { error: `Unsupported token algorithm: ${header.alg}` };
 
-    bars.sort((a, b) => a.time - b.time);
+    const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${encodedHeader}.${encodedPayload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { error: 'Invalid token signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now >= claims.exp) return { error: 'Token expired' };
+    if (typeof claims.nbf === 'number' && now < claims.nbf) return { error: 'Token not yet valid' };
+    if (claims.role !== undefined && !ROLES.includes(claims.role)) return { error: `Invalid role: ${claims.role}` };
+    if (claims.symbols !== undefined && !this.isSymbolList(claims.symbols)) return { error: 'Invalid symbols claim' };
 
     return {
-      time: periodStart,
-      open: bars[0].open,
-      high: Math.max(...bars.map(b => b.high)),
-      low: Math.min(...bars.map(b => b.low)),
-      close: bars[bars.length - 1].close,
-      volume: bars.reduce((sum, b) => sum + b.volume, 0)
+      principal: {
+        id: claims.sub || 'jwt',
+        type: 'jwt',
+        role: claims.role || 'viewer',
+        symbols: claims.symbols || null,
+        rateLimits: null
+      }
     };
   }
 
-  resolutionToMinutes(resolution) {
-    const map = {
-      '1': 1,
-      '5': 5,
-      '15': 15,
-      '30': 30,
-      '60': 60,
-      '240': 240,
-      '1D': 1440,
-      '1W': 10080,
-      '1M': 43200
-    };
-    return map[resolution] || 60;
+  hasRole(principal, role) {
+    return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
   }
 
-  generateSampleDataForSymbol(symbol) {
-    const bars = [];
+  matchesEntitlement(patterns, symbol) {
+    const info = this.store.symbols[symbol];
+    if (!info) return false;
 
-    const basePrices = {
-      'EURUSD': 1.0800, 'GBPUSD': 1.2600, 'USDJPY': 149.50, 'USDCHF': 0.8800,
-      'AUDUSD': 0.6650, 'USDCAD': 1.3450, 'NZDUSD': 0.6150, 'GBPJPY': 188.00,
-      'AUDJPY': 99.30, 'CADJPY': 111.20, 'XAUUSD': 2030.00, 'USOIL': 74.50,
-      'SPX500': 4580.00, 'US30': 37800.00, 'NAS100': 15950.00, 'NIFTY': 21350.00,
-      'BTCUSDT': 42500.00
+    const exchange = (info.exchange || '').toUpperCase();
+    return patterns.some(pattern => {
+      const value = pattern.toUpperCase();
+      if (value === '*' || value === symbol) return true;
+      if (value === `${exchange}:*`) return true;
+      return value === `${exchange}:${symbol}`;
+    });
+  }
+
+  isEntitled(principal, symbol) {
+    if (!principal || !principal.symbols) return true;
+    if (!this.store.symbols[symbol]) return false;
+
+    const derived = this.store.derived.get(symbol);
+    if (!derived) return this.matchesEntitlement(principal.symbols, symbol);
+
+    return (derived.transient || this.matchesEntitlement(principal.symbols, symbol)) &&
+      derived.constituents.every(constituent => this.matchesEntitlement(principal.symbols, constituent));
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      api_keys: this.keys.size,
+      jwt: !!this.jwtSecret
     };
+  }
+}
 
-    let basePrice = basePrices[symbol] || 100.0;
-    let currentTime = Math.floor(Date.now() / 1000) - (10000 * 5 * 60);
+class RateLimiter {
+  constructor(budgets = {}, options = {}) {
+    this.enabled = options.enabled !== false;
+    this.budgets = budgets;
+    this.buckets = new Map();
+    this.stats = Object.fromEntries(Object.keys(budgets).map(budget =>
+      [budget, { allowed: 0, rate_limited: 0, concurrency_limited: 0 }]));
+    this.lastPrune = Date.now();
+  }
 
-    let volatility = 0.005;
-    if (['XAUUSD', 'USOIL'].includes(symbol)) volatility = 0.01;
-    else if (symbol === 'BTCUSDT') volatility = 0.025;
-    else if (['SPX500', 'US30', 'NAS100', 'NIFTY'].includes(symbol)) volatility = 0.0075;
+  getLimits(budget, principal = null) {
+    const overrides = principal && principal.rateLimits ? principal.rateLimits[budget] : null;
+    return { ...this.budgets[budget], ...overrides };
+  }
 
-    for (let i = 0; i < 10000; i++) {
-      const change = (Math.random() - 0.5) * 2 * volatility;
-      const openPrice = basePrice;
-      basePrice = basePrice * (1 + change);
+  acquire(budget, client, principal = null) {
+    const now = Date.now();
+    if (now - this.lastPrune > 60000) this.prune(now);
 
-      const high = Math.max(openPrice, basePrice) * (1 + Math.random() * volatility / 3);
-      const low = Math.min(openPrice, basePrice) * (1 - Math.random() * volatility / 3);
+    const limits = this.getLimits(budget, principal);
+    const key = `${budget}|${client}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { budget, tokens: limits.burst, updatedAt: now, inFlight: 0 };
+      this.buckets.set(key, bucket);
+    }
+    bucket.limits = limits;
 
-      let volume;
-      if (symbol.includes('USD') || symbol.includes('JPY')) {
-        volume = Math.floor(Math.random() * 15000) + 5000;
-      } else if (symbol === 'BTCUSDT') {
-        volume = Math.floor(Math.random() * 900) + 100;
-      } else {
-        volume = Math.floor(Math.random() * 90000) + 10000;
-      }
+    if (limits.rps > 0) {
+      bucket.tokens = Math.min(limits.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limits.rps);
+    }
+    bucket.updatedAt = now;
+
+    const stats = this.stats[budget];
+    if (limits.rps > 0 && bucket.tokens < 1) {
+      stats.rate_limited++;
+      return {
+        allowed: false,
+        limits,
+        remaining: 0,
+        retryAfter: (1 - bucket.tokens) / limits.rps,
+        error: `Rate limit exceeded for ${budget} requests (${limits.rps}/s, burst ${limits.burst})`
+      };
+    }
+    if (limits.concurrency > 0 && bucket.inFlight >= limits.concurrency) {
+      stats.concurrency_limited++;
+      return {
+        allowed: false,
+        limits,
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: 1,
+        error: `Too many concurrent ${budget} requests (max ${limits.concurrency})`
+      };
+    }
 
-      let decimalPlaces = 2;
-      if (['USDJPY', 'GBPJPY', 'AUDJPY', 'CADJPY'].includes(symbol)) {
-        decimalPlaces = 3;
-      } else if (['EURUSD', 'GBPUSD', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD'].includes(symbol)) {
-        decimalPlaces = 5;
+    if (limits.rps > 0) bucket.tokens -= 1;
+    bucket.inFlight++;
+    stats.allowed++;
+
+    let released = false;
+    return {
+      allowed: true,
+      limits,
+      remaining: Math.floor(bucket.tokens),
+      release: () => {
+        if (released) return;
+        released = true;
+        bucket.inFlight--;
       }
+    };
+  }
 
-      bars.push({
-        time: currentTime,
-        open: parseFloat(openPrice.toFixed(decimalPlaces)),
-        high: parseFloat(high.toFixed(decimalPlaces)),
-        low: parseFloat(low.toFixed(decimalPlaces)),
-        close: parseFloat(basePrice.toFixed(decimalPlaces)),
-        volume: volume
-      });
+  prune(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const limits = bucket.limits;
+      const refilled = !(limits.rps > 0) || bucket.tokens + (now - bucket.updatedAt) / 1000 * limits.rps >= limits.burst;
+      if (bucket.inFlight === 0 && refilled) this.buckets.delete(key);
+    }
+    this.lastPrune = now;
+  }
 
-      currentTime += 300;
+  getStats() {
+    const budgets = {};
+    for (const [budget, limits] of Object.entries(this.budgets)) {
+      const buckets = [...this.buckets.values()].filter(bucket => bucket.budget === budget);
+      budgets[budget] = {
+        ...limits,
+        ...this.stats[budget],
+        clients: buckets.length,
+        in_flight: buckets.reduce((sum, bucket) => sum + bucket.inFlight, 0)
+      };
     }
+    return { enabled: this.enabled, budgets };
+  }
+}
 
-    this.historicalData[symbol] = bars;
+const dataStore = new DataStore({
+  generator: {
+    seed: process.env.GENERATOR_SEED,
+    endTime: process.env.GENERATOR_END_TIME
+  },
+  cache: {
+    maxEntries: parseInt(process.env.HISTORY_CACHE_MAX_ENTRIES || '1000'),
+    maxBytes: parseFloat(process.env.HISTORY_CACHE_MAX_MB || '64') * 1024 * 1024,
+    ttlSeconds: parseInt(process.env.HISTORY_CACHE_TTL_SECONDS || '300')
   }
+});
+const replayManager = new ReplayManager(dataStore, {
+  maxSpeed: parseFloat(process.env.REPLAY_MAX_SPEED || '20'),
+  maxSessionsPerClient: parseInt(process.env.REPLAY_MAX_SESSIONS_PER_CLIENT || '5'),
+  idleTimeoutSeconds: parseInt(process.env.REPLAY_IDLE_TIMEOUT_SECONDS || '1800')
+});
+const authManager = new AuthManager(dataStore, {
+  keysFile: process.env.API_KEYS_FILE || path.join(__dirname, 'data/api_keys.json'),
+  jwtSecret: process.env.JWT_SECRET
+});
+const indicatorCalculator = new IndicatorCalculator(dataStore);
+const historyExporter = new HistoryExporter(dataStore);
+const rateLimiter = new RateLimiter(getRateLimitBudgets(process.env), {
+  enabled: (process.env.RATE_LIMIT || 'true').toLowerCase() !== 'false'
+});
+const streamingServer = new StreamingServer(dataStore, replayManager, authManager);
+const eventStore = new EventStore(path.join(__dirname, 'data/events.json'));
+const marketSimulator = new MarketSimulator(dataStore, {
+  intervalMs: parseInt(process.env.SIMULATOR_INTERVAL_MS || '1000')
+});
 
-  generateSampleData() {
-    for (const symbol of Object.keys(this.symbols)) {
-      this.generateSampleDataForSymbol(symbol);
-    }
+const cacheLookups = metrics.counter('history_cache_lookups_total', 'History cache lookups by result', ['result']);
+const cacheEvictions = metrics.counter('history_cache_evictions_total', 'History cache entries removed by reason', ['reason']);
+const cacheHitRatio = metrics.gauge('history_cache_hit_ratio', 'History cache hits divided by lookups');
+const cacheEntries = metrics.gauge('history_cache_entries', 'Entries held in the history cache');
+const cacheBytes = metrics.gauge('history_cache_size_bytes', 'Approximate size of the history cache');
+const rateLimited = metrics.counter('rate_limited_requests_total', 'Requests rejected by the rate limiter', ['budget', 'reason']);
+const streamClients = metrics.gauge('stream_clients', 'Connected streaming clients');
+const streamSubscriptions = metrics.gauge('stream_subscriptions', 'Active symbol and resolution stream subscriptions');
+const replaySessions = metrics.gauge('replay_sessions', 'Open replay sessions by state', ['state']);
+const symbolsLoaded = metrics.gauge('symbols', 'Configured symbols');
+const uptime = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+const memory = metrics.gauge('process_resident_memory_bytes', 'Resident memory size');
+
+metrics.addCollector(() => {
+  const cacheStats = dataStore.cache.getStats();
+  cacheLookups.set({ result: 'hit' }, cacheStats.hits);
+  cacheLookups.set({ result: 'miss' }, cacheStats.misses);
+  cacheEvictions.set({ reason: 'capacity' }, cacheStats.evictions);
+  cacheEvictions.set({ reason: 'expired' }, cacheStats.expirations);
+  cacheEvictions.set({ reason: 'invalidated' }, cacheStats.invalidations);
+  cacheHitRatio.set({}, cacheStats.hit_rate);
+  cacheEntries.set({}, cacheStats.entries);
+  cacheBytes.set({}, dataStore.cache.bytes);
+
+  for (const [budget, stats] of Object.entries(rateLimiter.getStats().budgets)) {
+    rateLimited.set({ budget, reason: 'rate' }, stats.rate_limited);
+    rateLimited.set({ budget, reason: 'concurrency' }, stats.concurrency_limited);
   }
+
+  const streamStats = streamingServer.getStats();
+  streamClients.set({}, streamStats.clients);
+  streamSubscriptions.set({}, streamStats.subscriptions);
+
+  const replayStats = replayManager.getStats();
+  replaySessions.set({ state: 'playing' }, replayStats.playing);
+  replaySessions.set({ state: 'paused' }, replayStats.sessions - replayStats.playing);
+
+  symbolsLoaded.set({}, Object.keys(dataStore.symbols).length);
+  uptime.set({}, Math.round(process.uptime()));
+  memory.set({}, process.memoryUsage().rss);
+});
+
+// Express matches routes case-insensitively and ignores a trailing slash, so
+// role and budget lookups must see the path the same way the router does.
+function normalizeRoutePath(routePath) {
+  return routePath.toLowerCase().replace(/(.)\/+$/, '$1');
+}
+
+function getRequiredRole(routePath) {
+  routePath = normalizeRoutePath(routePath);
+  if (PUBLIC_ROUTES.includes(routePath)) return null;
+  return ADMIN_ROUTES.some(pattern => pattern.test(routePath)) ? 'admin' : 'viewer';
+}
+
+function getRateLimitBudget(routePath) {
+  routePath = normalizeRoutePath(routePath);
+  if (PUBLIC_ROUTES.includes(routePath)) return null;
+  if (['/history', '/replay/history', '/indicators', '/export'].includes(routePath)) return 'history';
+  if (routePath === '/quotes') return 'quotes';
+  return ADMIN_ROUTES.some(pattern => pattern.test(routePath)) ? 'admin' : 'default';
+}
+
+function getClientId(req) {
+  return authManager.getClientId(req.principal, req.ip);
 }
 
-const dataStore = new DataStore();
+function isEntitled(req, symbol) {
+  return authManager.isEntitled(req.principal, symbol);
+}
+
+app.use((req, res, next) => {
+  const header = req.get('X-Request-Id') || '';
+  const requestId = /^[\w.:-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ request_id: requestId });
+  res.locals.logFields = {};
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const duration = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? (Array.isArray(req.route.path) ? req.path : req.route.path) : 'unmatched';
+    requestDuration.observe({ method: req.method, route, status: res.statusCode }, duration);
+
+    const quiet = req.path === '/health' || req.path === '/metrics';
+    const level = res.statusCode >= 500 ? 'error' : quiet ? 'debug' : 'info';
+    req.log.log(level, 'Request completed', {
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(duration * 100000) / 100,
+      client: req.principal ? req.principal.id : req.ip,
+      ...res.locals.logFields
+    });
+  });
+  next();
+});
+
+app.use((req, res, next) => {
+  const role = getRequiredRole(req.path);
+  if (!authManager.enabled || !role) return next();
+
+  const { principal, error } = authManager.authenticate(req);
+  if (!principal) {
+    req.log.warn('Authentication failed', { path: req.path, error });
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error });
+  }
+
+  if (!authManager.hasRole(principal, role)) {
+    req.log.warn('Insufficient role', { path: req.path, client: principal.id, role: principal.role, required: role });
+    return res.status(403).json({ error: `Role ${role} required` });
+  }
+
+  req.principal = principal;
+  next();
+});
+
+app.use((req, res, next) => {
+  const budget = getRateLimitBudget(req.path);
+  if (!rateLimiter.enabled || !budget) return next();
+
+  const client = getClientId(req);
+  const result = rateLimiter.acquire(budget, client, req.principal);
+  if (result.limits.rps > 0) {
+    res.set('X-RateLimit-Limit', String(result.limits.burst));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+  }
+
+  if (!result.allowed) {
+    const retryAfter = Math.round(result.retryAfter * 1000) / 1000;
+    req.log.warn('Rate limited', { path: req.path, client, budget, error: result.error });
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfter))));
+    return res.status(429).json({ s: 'error', errmsg: `${result.error}, retry in ${retryAfter}s`, retry_after: retryAfter });
+  }
+
+  res.once('finish', result.release);
+  res.once('close', result.release);
+  next();
+});
+
+// Only bar uploads may be large; body-parser skips bodies that are already parsed.
+app.use('/admin/symbols/:symbol/bars', express.json({ limit: BODY_LIMIT }));
+app.use(express.json());
 
 app.get('/favicon.ico', (req, res) => {
   res.status(204).send();
 });
 
+const groupRequests = (process.env.GROUP_REQUESTS || 'false').toLowerCase() === 'true';
+
 app.get('/config', (req, res) => {
   res.json({
-    supports_search: true,
-    supports_group_request: false,
-    supports_marks: false,
-    supports_timescale_marks: false,
+    supports_search: !groupRequests,
+    supports_group_request: groupRequests,
+    supports_marks: true,
+    supports_timescale_marks: true,
     supports_time: true,
-    exchanges: [
-      { value: 'FOREX', name: 'FOREX', desc: 'Foreign Exchange Market' },
-      { value: 'CRYPTO', name: 'CRYPTO', desc: 'Cryptocurrency Exchange' },
-      { value: 'COMMODITIES', name: 'COMMODITIES', desc: 'Commodities Market' },
-      { value: 'INDEX', name: 'INDEX', desc: 'Stock Market Indices' },
-      { value: 'NSE', name: 'NSE', desc: 'National Stock Exchange of India' }
-    ],
-    symbols_types: [
-      { name: 'All types', value: '' },
-      { name: 'Forex', value: 'forex' },
-      { name: 'Crypto', value: 'crypto' },
-      { name: 'Commodity', value: 'commodity' },
-      { name: 'Index', value: 'index' }
-    ],
-    supported_resolutions: ['1', '5', '15', '30', '60', '240', '1D', '1W', '1M']
+    exchanges: dataStore.getExchanges(),
+    symbols_types: SYMBOL_TYPES,
+    supported_resolutions: dataStore.getAllSupportedResolutions(),
+    currency_codes: dataStore.getCurrencyCodes(),
+    units: Object.fromEntries(Object.entries(UNITS).map(([type, units]) =>
+      [type, units.map(({ id, name, description }) => ({ id, name, description }))]))
   });
 });
 
 app.get('/symbols', (req, res) => {
-  const symbol = req.query.symbol || '';
+  const symbol = dataStore.resolveSymbol(req.query.symbol) || req.query.symbol || '';
 
-  if (dataStore.symbols[symbol]) {
+  if (dataStore.symbols[symbol] && isEntitled(req, symbol)) {
     const symbolInfo = dataStore.symbols[symbol];
+    const currency = dataStore.getSymbolCurrency(symbol);
+
+    let converter;
+    try {
+      converter = createPriceConverter(req, symbol, dataStore.getBaseResolution(symbol));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     res.json({
       name: symbol,
       'exchange-traded': symbolInfo.exchange,
@@ -328,14 +4260,21 @@ app.get('/symbols', (req, res) => {
       minmov2: 0,
       pointvalue: 1,
       session: symbolInfo.session,
-      has_intraday: symbolInfo.has_intraday,
-      visible_plots_set: 'ohlcv',
+      ...dataStore.getResolutionCapabilities(symbol),
+      visible_plots_set: dataStore.isDerived(symbol) ? 'ohlc' : 'ohlcv',
       description: symbolInfo.name,
       type: symbolInfo.type,
-      supported_resolutions: ['1', '5', '15', '30', '60', '240', '1D', '1W', '1M'],
+      supported_resolutions: dataStore.getSupportedResolutions(symbol),
       pricescale: symbolInfo.pricescale,
       ticker: symbol,
-      data_status: symbolInfo.data_status
+      data_status: symbolInfo.data_status,
+      ...(currency ? { currency_code: converter.currency, original_currency_code: currency } : {}),
+      currency_conversions: dataStore.getCurrencyConversions(symbol, pair => isEntitled(req, pair)),
+      ...(symbolInfo.unit ? {
+        unit_id: converter.unit,
+        original_unit_id: symbolInfo.unit,
+        unit_conversion_types: [dataStore.getUnitType(symbolInfo.unit)]
+      } : {})
     });
   } else {
     res.status(404).json({ error: 'Symbol not found' });
@@ -343,155 +4282,162 @@ app.get('/symbols', (req, res) => {
 });
 
 app.get('/symbol_info', (req, res) => {
-  const group = req.query.group || '';
-  console.log(`Symbol info request for group: ${group}`);
-
-  const filteredSymbols = [];
-
-  for (const [symbol, info] of Object.entries(dataStore.symbols)) {
-    if (group === 'FOREX' && info.exchange === 'FOREX') {
-      filteredSymbols.push({
-        symbol: symbol,
-        full_name: `${info.exchange}:${symbol}`,
-        description: info.name,
-        exchange: info.exchange,
-        ticker: symbol,
-        type: info.type
-      });
-    } else if (group === 'NYSE' && info.exchange === 'NSE') {
-      filteredSymbols.push({
-        symbol: symbol,
-        full_name: `${info.exchange}:${symbol}`,
-        description: info.name,
-        exchange: info.exchange,
-        ticker: symbol,
-        type: info.type
-      });
-    } else if (group === 'AMEX' && info.exchange === 'INDEX') {
-      filteredSymbols.push({
-        symbol: symbol,
-        full_name: `${info.exchange}:${symbol}`,
-        description: info.name,
-        exchange: info.exchange,
-        ticker: symbol,
-        type: info.type
-      });
-    }
+  const group = (req.query.group || '').toUpperCase();
+
+  const symbols = dataStore.getListedSymbols()
+    .filter(symbol => !group || dataStore.symbols[symbol].exchange.toUpperCase() === group)
+    .filter(symbol => isEntitled(req, symbol));
+
+  if (group && symbols.length === 0) {
+    return res.status(404).json({ s: 'error', errmsg: `Unknown group: ${group}` });
+  }
+
+  const symbolInfo = {};
+  const column = (field, getValue) => {
+    symbolInfo[field] = symbols.map(getValue);
+  };
+
+  column('symbol', symbol => symbol);
+  column('ticker', symbol => symbol);
+  column('name', symbol => symbol);
+  column('full_name', symbol => `${dataStore.symbols[symbol].exchange}:${symbol}`);
+  column('description', symbol => dataStore.symbols[symbol].name);
+  column('exchange-listed', symbol => dataStore.symbols[symbol].exchange);
+  column('exchange-traded', symbol => dataStore.symbols[symbol].exchange);
+  column('type', symbol => dataStore.symbols[symbol].type);
+  column('minmovement', symbol => dataStore.symbols[symbol].minmov);
+  column('minmovement2', () => 0);
+  column('fractional', () => false);
+  column('pricescale', symbol => dataStore.symbols[symbol].pricescale);
+  column('timezone', symbol => dataStore.symbols[symbol].timezone);
+  column('session-regular', symbol => dataStore.symbols[symbol].session);
+  column('supported-resolutions', symbol => dataStore.getSupportedResolutions(symbol));
+
+  const capabilities = symbols.map(symbol => dataStore.getResolutionCapabilities(symbol));
+  for (const field of Object.keys(capabilities[0] || {})) {
+    symbolInfo[field.replace(/_/g, '-')] = capabilities.map(capability => capability[field]);
   }
 
-  console.log(`Returning ${filteredSymbols.length} symbols for group ${group}`);
-  res.json(filteredSymbols);
+  column('has-no-volume', () => false);
+  column('visible-plots-set', symbol => dataStore.isDerived(symbol) ? 'ohlc' : 'ohlcv');
+  column('data-status', symbol => dataStore.symbols[symbol].data_status);
+
+  Object.assign(res.locals.logFields, { group: group || '(all)', symbols: symbols.length });
+  res.json(symbolInfo);
 });
 
 app.get('/search', (req, res) => {
-  const query = (req.query.query || '').toUpperCase();
-  const typeFilter = req.query.type || '';
-  const exchange = req.query.exchange || '';
+  const query = req.query.query || '';
   const limit = parseInt(req.query.limit || '30');
 
-  const results = [];
-  for (const [symbol, info] of Object.entries(dataStore.symbols)) {
-    if (query && !symbol.includes(query) && !info.name.toUpperCase().includes(query)) {
-      continue;
-    }
-    if (typeFilter && info.type !== typeFilter) continue;
-    if (exchange && info.exchange !== exchange) continue;
+  const results = dataStore.searchSymbols(query, {
+    type: req.query.type || '',
+    exchange: req.query.exchange || ''
+  }).filter(({ symbol }) => isEntitled(req, symbol)).slice(0, limit).map(({ symbol, info }) => ({
+    symbol: symbol,
+    full_name: `${info.exchange}:${symbol}`,
+    description: info.name,
+    exchange: info.exchange,
+    ticker: symbol,
+    type: info.type
+  }));
 
-    results.push({
-      symbol: symbol,
-      full_name: `${info.exchange}:${symbol}`,
-      description: info.name,
-      exchange: info.exchange,
-      ticker: symbol,
-      type: info.type
-    });
+  res.json(results);
+});
+
+// Converted prices reveal the FX pairs behind them, so every pair must be an entitled symbol.
+function createPriceConverter(req, symbol, resolution, toTime) {
+  const converter = dataStore.createPriceConverter(symbol, resolution, {
+    currency: req.query.currencyCode || req.query.currency,
+    unit: req.query.unitId || req.query.unit,
+    to: toTime
+  });
+  if (!converter.dependencies.every(pair => isEntitled(req, pair))) {
+    throw new Error(`Cannot convert ${symbol} to ${converter.currency}`);
   }
+  return converter;
+}
 
-  res.json(results.slice(0, limit));
-});
+function parseCountback(value) {
+  const countback = parseInt(value, 10);
+  return Number.isInteger(countback) && countback > 0 ? countback : null;
+}
+
+function noDataResponse(nextTime) {
+  return nextTime === null ? { s: 'no_data' } : { s: 'no_data', nextTime };
+}
+
+// Ad-hoc expressions share one label so clients cannot grow the metric without bound.
+function getMetricSymbol(symbol) {
+  return dataStore.isTransient(symbol) ? 'DERIVED' : symbol;
+}
+
+function sendHistory(req, res, symbol, resolution, response, cache) {
+  const bars = response.t ? response.t.length : 0;
+  const normalized = dataStore.normalizeResolution(resolution) || resolution;
+  if (bars > 0) barsServed.inc({ symbol: getMetricSymbol(symbol), resolution: normalized }, bars);
+  Object.assign(res.locals.logFields, { symbol, resolution: normalized, bars, udf_status: response.s, cache });
+  res.json(response);
+}
 
 app.get('/history', (req, res) => {
-  const symbol = req.query.symbol || '';
+  const symbol = dataStore.resolveSymbol(req.query.symbol) || req.query.symbol || '';
   const resolution = req.query.resolution || '5';
   const fromTime = parseInt(req.query.from || '0');
-  const toTime = parseInt(req.query.to || Math.floor(Date.now() / 1000));
+  const replaySession = req.query.replay_session ? replayManager.get(req.query.replay_session, getClientId(req)) : null;
+  const toTime = Math.min(
+    parseInt(req.query.to || Math.floor(Date.now() / 1000)),
+    replaySession ? replaySession.cursor : Infinity
+  );
+  const countback = parseCountback(req.query.countback);
   const replayMode = (req.query.replay || 'false').toLowerCase() === 'true';
 
-  if (replayMode || toTime < Math.floor(Date.now() / 1000) - 86400) {
-    console.log(`🎬 REPLAY REQUEST: ${symbol}, resolution: ${resolution}`);
-    console.log(`   📅 From: ${new Date(fromTime * 1000)} to ${new Date(toTime * 1000)}`);
-    console.log(`   ⏱️  Time range: ${((toTime - fromTime) / 86400).toFixed(1)} days`);
-  } else {
-    console.log(`History request: ${symbol}, resolution: ${resolution}, from: ${fromTime}, to: ${toTime}`);
-  }
+  req.log.debug('History request', {
+    symbol,
+    resolution,
+    from: fromTime,
+    to: toTime,
+    countback,
+    replay: replayMode || toTime < Math.floor(Date.now() / 1000) - 86400
+  });
 
-  if (!dataStore.symbols[symbol]) {
-    console.log(`❌ Symbol ${symbol} not found in symbols`);
+  if (!dataStore.symbols[symbol] || !isEntitled(req, symbol)) {
     return res.status(404).json({ s: 'error', errmsg: 'Symbol not found' });
   }
 
-  if (!dataStore.historicalData[symbol]) {
-    console.log(`❌ No historical data found for ${symbol}`);
-    return res.json({ s: 'no_data' });
+  if (!dataStore.isResolutionSupported(symbol, resolution)) {
+    return res.status(400).json({ s: 'error', errmsg: `Unsupported resolution ${resolution} for ${symbol}` });
   }
 
-  if (replayMode) {
-    const cached = dataStore.getCachedReplayData(symbol, resolution, fromTime, toTime);
-    if (cached) return res.json(cached);
+  if (req.query.replay_session && !replaySession) {
+    return res.status(404).json({ s: 'error', errmsg: `Replay session ${req.query.replay_session} not found` });
   }
-
-  const baseBars = dataStore.historicalData[symbol];
-  console.log(`📊 Total bars available: ${baseBars.length}`);
-
-  if (baseBars.length > 0) {
-    const earliestTime = Math.min(...baseBars.map(b => b.time));
-    const latestTime = Math.max(...baseBars.map(b => b.time));
-    if (replayMode) {
-      console.log(`📈 Data range: ${new Date(earliestTime * 1000)} to ${new Date(latestTime * 1000)}`);
-    }
+  if (replaySession && replaySession.symbol !== symbol) {
+    return res.status(400).json({ s: 'error', errmsg: `Replay session ${replaySession.id} is for ${replaySession.symbol}, not ${symbol}` });
   }
 
-  const filteredBars = baseBars.filter(bar => bar.time >= fromTime && bar.time <= toTime);
+  if (!dataStore.historicalData[symbol]) {
+    return sendHistory(req, res, symbol, resolution, { s: 'no_data' });
+  }
 
-  if (replayMode) {
-    console.log(`🔍 Filtered bars count: ${filteredBars.length} (replay mode)`);
-  } else {
-    console.log(`Filtered bars count: ${filteredBars.length}`);
-  }
-
-  if (filteredBars.length === 0) {
-    console.log('⚠️  No data in requested time range');
-    if (baseBars.length > 0) {
-      const latestBars = baseBars.slice(-100);
-      console.log(`📦 Returning latest ${latestBars.length} bars instead`);
-      const resampledBars = dataStore.resampleData(latestBars, resolution);
-      if (resampledBars.length > 0) {
-        const response = {
-          s: 'ok',
-          t: resampledBars.map(b => b.time),
-          o: resampledBars.map(b => b.open),
-          h: resampledBars.map(b => b.high),
-          l: resampledBars.map(b => b.low),
-          c: resampledBars.map(b => b.close),
-          v: resampledBars.map(b => b.volume)
-        };
-        return res.json(response);
-      }
-    }
-    return res.json({ s: 'no_data' });
+  let converter;
+  try {
+    converter = createPriceConverter(req, symbol, resolution, toTime);
+  } catch (error) {
+    return res.status(400).json({ s: 'error', errmsg: error.message });
   }
 
-  const resampledBars = dataStore.resampleData(filteredBars, resolution);
+  const cacheKind = `${replayMode ? 'replay' : 'history'}${converter.converted ? `@${converter.currency}/${converter.unit}` : ''}`;
+  const cached = dataStore.getCachedHistory(cacheKind, symbol, resolution, fromTime, toTime, countback);
+  if (cached) return sendHistory(req, res, symbol, resolution, cached, 'hit');
 
-  if (replayMode) {
-    console.log(`🎯 Resampled bars count: ${resampledBars.length} (replay mode)`);
-  } else {
-    console.log(`Resampled bars count: ${resampledBars.length}`);
-  }
+  const history = dataStore.getHistoryBars(symbol, resolution, fromTime, toTime, countback);
+  req.log.debug('History series', { symbol, source: history.source, series_bars: history.series.length });
+
+  const resampledBars = dataStore.convertBars(symbol, history.bars, converter);
 
   if (resampledBars.length === 0) {
-    console.log('❌ No data after resampling');
-    return res.json({ s: 'no_data' });
+    return sendHistory(req, res, symbol, resolution, noDataResponse(history.nextTime), 'miss');
   }
 
   const response = {
@@ -508,51 +4454,60 @@ app.get('/history', (req, res) => {
     response.replay_mode = true;
     response.replay_time = toTime;
     response.bars_count = resampledBars.length;
-    dataStore.cacheReplayData(symbol, resolution, fromTime, toTime, response);
-  }
-
-  if (replayMode) {
-    console.log(`✅ Returning ${resampledBars.length} bars for ${symbol} (REPLAY MODE)`);
-  } else {
-    console.log(`✅ Returning ${resampledBars.length} bars for ${symbol}`);
   }
 
-  res.json(response);
+  dataStore.cacheHistory(cacheKind, symbol, resolution, fromTime, toTime, response, countback, converter.dependencies);
+  sendHistory(req, res, symbol, resolution, response, 'miss');
 });
 
 app.get('/replay/history', (req, res) => {
-  const symbol = req.query.symbol || '';
+  const symbol = dataStore.resolveSymbol(req.query.symbol) || req.query.symbol || '';
   const resolution = req.query.resolution || '5';
   const fromTime = parseInt(req.query.from || '0');
-  const toTime = parseInt(req.query.to || Math.floor(Date.now() / 1000));
+  const replaySession = req.query.replay_session ? replayManager.get(req.query.replay_session, getClientId(req)) : null;
+  const toTime = Math.min(
+    parseInt(req.query.to || Math.floor(Date.now() / 1000)),
+    replaySession ? replaySession.cursor : Infinity
+  );
+  const countback = parseCountback(req.query.countback);
 
-  console.log(`🎬 DEDICATED REPLAY REQUEST: ${symbol}`);
-  console.log(`   📅 From: ${new Date(fromTime * 1000)} (${fromTime})`);
-  console.log(`   📅 To: ${new Date(toTime * 1000)} (${toTime})`);
-  console.log(`   🔍 Resolution: ${resolution}`);
+  req.log.debug('Replay history request', { symbol, resolution, from: fromTime, to: toTime, countback });
 
-  if (!dataStore.symbols[symbol]) {
+  if (!dataStore.symbols[symbol] || !isEntitled(req, symbol)) {
     return res.status(404).json({ s: 'error', errmsg: 'Symbol not found' });
   }
 
-  if (!dataStore.historicalData[symbol]) {
-    return res.json({ s: 'no_data' });
+  if (!dataStore.isResolutionSupported(symbol, resolution)) {
+    return res.status(400).json({ s: 'error', errmsg: `Unsupported resolution ${resolution} for ${symbol}` });
   }
 
-  const cached = dataStore.getCachedReplayData(symbol, resolution, fromTime, toTime);
-  if (cached) return res.json(cached);
+  if (req.query.replay_session && !replaySession) {
+    return res.status(404).json({ s: 'error', errmsg: `Replay session ${req.query.replay_session} not found` });
+  }
+  if (replaySession && replaySession.symbol !== symbol) {
+    return res.status(400).json({ s: 'error', errmsg: `Replay session ${replaySession.id} is for ${replaySession.symbol}, not ${symbol}` });
+  }
 
-  const baseBars = dataStore.historicalData[symbol];
-  const filteredBars = baseBars.filter(bar => bar.time >= fromTime && bar.time <= toTime);
+  if (!dataStore.historicalData[symbol]) {
+    return sendHistory(req, res, symbol, resolution, { s: 'no_data' });
+  }
 
-  if (filteredBars.length === 0) {
-    return res.json({ s: 'no_data' });
+  let converter;
+  try {
+    converter = createPriceConverter(req, symbol, resolution, toTime);
+  } catch (error) {
+    return res.status(400).json({ s: 'error', errmsg: error.message });
   }
 
-  const resampledBars = dataStore.resampleData(filteredBars, resolution);
+  const cacheKind = `replay_history${converter.converted ? `@${converter.currency}/${converter.unit}` : ''}`;
+  const cached = dataStore.getCachedHistory(cacheKind, symbol, resolution, fromTime, toTime, countback);
+  if (cached) return sendHistory(req, res, symbol, resolution, cached, 'hit');
+
+  const history = dataStore.getHistoryBars(symbol, resolution, fromTime, toTime, countback);
+  const resampledBars = dataStore.convertBars(symbol, history.bars, converter);
 
   if (resampledBars.length === 0) {
-    return res.json({ s: 'no_data' });
+    return sendHistory(req, res, symbol, resolution, noDataResponse(history.nextTime), 'miss');
   }
 
   const response = {
@@ -575,62 +4530,194 @@ app.get('/replay/history', (req, res) => {
     }
   };
 
-  dataStore.cacheReplayData(symbol, resolution, fromTime, toTime, response);
+  dataStore.cacheHistory(cacheKind, symbol, resolution, fromTime, toTime, response, countback, converter.dependencies);
+  sendHistory(req, res, symbol, resolution, response, 'miss');
+});
+
+app.get('/indicators', (req, res) => {
+  const symbol = dataStore.resolveSymbol(req.query.symbol) || req.query.symbol || '';
+  const resolution = req.query.resolution || '5';
+  const fromTime = parseInt(req.query.from || '0');
+  const replaySession = req.query.replay_session ? replayManager.get(req.query.replay_session, getClientId(req)) : null;
+  const toTime = Math.min(
+    parseInt(req.query.to || Math.floor(Date.now() / 1000)),
+    replaySession ? replaySession.cursor : Infinity
+  );
+  const countback = parseCountback(req.query.countback);
+
+  if (!dataStore.symbols[symbol] || !isEntitled(req, symbol)) {
+    return res.status(404).json({ s: 'error', errmsg: 'Symbol not found' });
+  }
+
+  if (!dataStore.isResolutionSupported(symbol, resolution)) {
+    return res.status(400).json({ s: 'error', errmsg: `Unsupported resolution ${resolution} for ${symbol}` });
+  }
+
+  if (req.query.replay_session && !replaySession) {
+    return res.status(404).json({ s: 'error', errmsg: `Replay session ${req.query.replay_session} not found` });
+  }
+  if (replaySession && replaySession.symbol !== symbol) {
+    return res.status(400).json({ s: 'error', errmsg: `Replay session ${replaySession.id} is for ${replaySession.symbol}, not ${symbol}` });
+  }
+
+  const { indicators, errors } = indicatorCalculator.parse(req.query.indicators);
+  if (errors.length > 0) {
+    return res.status(400).json({ s: 'error', errmsg: errors.join('; ') });
+  }
+
+  if (!dataStore.historicalData[symbol]) {
+    return res.json({ s: 'no_data' });
+  }
+
+  let converter;
+  try {
+    converter = createPriceConverter(req, symbol, resolution, toTime);
+  } catch (error) {
+    return res.status(400).json({ s: 'error', errmsg: error.message });
+  }
+
+  const cacheKind = `indicators:${indicators.map(indicator => indicator.key).join(',')}` +
+    `${converter.converted ? `@${converter.currency}/${converter.unit}` : ''}`;
+  const cached = dataStore.getCachedHistory(cacheKind, symbol, resolution, fromTime, toTime, countback);
+  if (cached) {
+    Object.assign(res.locals.logFields, { symbol, resolution, bars: cached.t ? cached.t.length : 0, cache: 'hit' });
+    return res.json(cached);
+  }
+
+  const history = dataStore.getHistoryBars(symbol, resolution, fromTime, toTime, countback);
+  if (history.bars.length === 0) {
+    return res.json(noDataResponse(history.nextTime));
+  }
+
+  const firstTime = history.bars[0].time;
+  const warmupCount = indicatorCalculator.getWarmup(indicators);
+  let warmup = warmupCount > 0 ? dataStore.getHistoryBars(symbol, resolution, 0, firstTime - 1, warmupCount).bars : [];
+  if (indicators.some(indicator => indicator.name === 'vwap') && !dataStore.isSessionResolution(resolution)) {
+    const session = dataStore.getHistoryBars(symbol, resolution, dataStore.getSessionStart(symbol, firstTime), firstTime - 1).bars;
+    if (session.length > warmup.length) warmup = session;
+  }
+
+  const bars = dataStore.convertBars(symbol, [...warmup, ...history.bars], converter);
+  const output = bars.filter(bar => bar.time >= firstTime);
+  if (output.length === 0) {
+    return res.json(noDataResponse(history.nextTime));
+  }
 
-  console.log(`✅ Replay response ready: ${resampledBars.length} bars from ${response.data_range.start} to ${response.data_range.end}`);
+  const columns = indicatorCalculator.compute(symbol, indicators, bars);
+  const offset = bars.length - output.length;
+  const response = {
+    s: 'ok',
+    t: output.map(bar => bar.time),
+    ...Object.fromEntries(Object.entries(columns).map(([key, values]) => [key, values.slice(offset)])),
+    indicators: indicators.map(({ key, name, params, outputs }) => ({
+      name,
+      params,
+      columns: outputs ? outputs.map(output => `${key}_${output}`) : [key]
+    })),
+    warmup_bars: offset
+  };
 
+  dataStore.cacheHistory(cacheKind, symbol, resolution, fromTime, toTime, response, countback, converter.dependencies);
+  Object.assign(res.locals.logFields, { symbol, resolution, bars: output.length, warmup_bars: offset, cache: 'miss' });
   res.json(response);
 });
 
 app.get('/quotes', (req, res) => {
-  const symbols = (req.query.symbols || '').split(',');
+  const symbols = (req.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean);
+  const replaySession = req.query.replay_session ? replayManager.get(req.query.replay_session, getClientId(req)) : null;
+
+  if (req.query.replay_session && !replaySession) {
+    return res.status(404).json({ s: 'error', errmsg: `Replay session ${req.query.replay_session} not found` });
+  }
 
   const quotes = [];
   for (const symbol of symbols) {
-    if (dataStore.symbols[symbol] && dataStore.historicalData[symbol]) {
-      const latestBar = dataStore.historicalData[symbol][dataStore.historicalData[symbol].length - 1];
-      quotes.push({
-        n: symbol,
-        s: 'ok',
-        v: {
-          ch: (Math.random() - 0.5) * 4,
-          chp: (Math.random() - 0.5) * 4,
-          short_name: symbol,
-          exchange: dataStore.symbols[symbol].exchange,
-          description: dataStore.symbols[symbol].name,
-          lp: latestBar.close,
-          ask: latestBar.close + 0.01,
-          bid: latestBar.close - 0.01,
-          spread: 0.02,
-          open_price: latestBar.open,
-          high_price: latestBar.high,
-          low_price: latestBar.low,
-          prev_close_price: latestBar.close - (Math.random() - 0.5) * 2,
-          volume: latestBar.volume
-        }
-      });
+    const resolved = dataStore.resolveSymbol(symbol) || symbol;
+    if (!isEntitled(req, resolved)) {
+      quotes.push({ n: symbol, s: 'error', v: {} });
+      continue;
+    }
+    if (replaySession && replaySession.symbol !== resolved) {
+      quotes.push({ n: symbol, s: 'error', errmsg: `Replay session ${replaySession.id} is for ${replaySession.symbol}`, v: {} });
+      continue;
+    }
+
+    let converter = null;
+    try {
+      converter = dataStore.symbols[resolved]
+        ? createPriceConverter(req, resolved, dataStore.getBaseResolution(resolved), replaySession ? replaySession.cursor : undefined)
+        : null;
+    } catch (error) {
+      quotes.push({ n: symbol, s: 'error', errmsg: error.message, v: {} });
+      continue;
+    }
+
+    const quote = dataStore.getQuote(resolved, replaySession ? replaySession.cursor : Infinity, converter);
+    if (quote) {
+      quotes.push({ n: symbol, s: 'ok', v: quote });
+    } else {
+      quotes.push({ n: symbol, s: 'error', v: {} });
     }
   }
 
-  res.json({ d: quotes });
+  res.json({ s: 'ok', d: quotes });
 });
 
 app.get('/time', (req, res) => {
   res.send(Math.floor(Date.now() / 1000).toString());
 });
 
+function getChartEvents(req, display) {
+  const symbol = dataStore.resolveSymbol(req.query.symbol) || req.query.symbol || '';
+  const resolution = req.query.resolution || '';
+  const fromTime = parseInt(req.query.from || '0');
+  const toTime = parseInt(req.query.to || Math.floor(Date.now() / 1000));
+
+  if (!dataStore.symbols[symbol] || !isEntitled(req, symbol)) return [];
+
+  const alignToBar = dataStore.isResolutionSupported(symbol, resolution);
+  return eventStore.list(symbol, fromTime, toTime)
+    .filter(event => event.display === display)
+    .map(event => ({
+      ...event,
+      time: alignToBar
+        ? dataStore.getPeriodStart(event.time, resolution, symbol, dataStore.getBaseResolution(symbol))
+        : event.time
+    }));
+}
+
 app.get('/marks', (req, res) => {
-  res.json([]);
+  const marks = getChartEvents(req, 'bar').map(event => ({
+    id: event.id,
+    time: event.time,
+    color: event.color,
+    text: event.text ? `${event.title}\n${event.text}` : event.title,
+    label: event.label,
+    labelFontColor: 'white',
+    minSize: 14
+  }));
+
+  res.json(marks);
 });
 
 app.get('/timescale_marks', (req, res) => {
-  res.json([]);
+  const marks = getChartEvents(req, 'timescale').map(event => ({
+    id: event.id,
+    time: event.time,
+    color: event.color,
+    label: event.label,
+    tooltip: event.text ? [event.title, event.text] : [event.title]
+  }));
+
+  res.json(marks);
 });
 
 app.get('/streaming', (req, res) => {
+  const protocol = req.secure ? 'wss' : 'ws';
   res.json({
-    streaming_supported: false,
-    streaming_url: 'ws://localhost:3000/stream'
+    streaming_supported: true,
+    streaming_url: `${protocol}://${req.headers.host}/stream`,
+    ...streamingServer.getStats()
   });
 });
 
@@ -640,7 +4727,13 @@ app.get('/health', (req, res) => {
     timestamp: Math.floor(Date.now() / 1000),
     symbols_count: Object.keys(dataStore.symbols).length,
     base_timeframe: `${dataStore.baseTimeframe} minutes`,
-    replay_cache_size: Object.keys(dataStore.replayCache).length,
+    replay_cache_size: dataStore.cache.entries.size,
+    history_cache: dataStore.cache.getStats(),
+    streaming: streamingServer.getStats(),
+    market_simulator: marketSimulator.getStats(),
+    replay_sessions: replayManager.getStats(),
+    auth: authManager.getStats(),
+    rate_limits: rateLimiter.getStats(),
     replay_features: {
       caching_enabled: true,
       dedicated_endpoint: true,
@@ -650,27 +4743,24 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/replay/cache', (req, res) => {
-  const cacheInfo = {};
-  for (const [key, data] of Object.entries(dataStore.replayCache)) {
-    cacheInfo[key] = {
-      bars_count: data.t ? data.t.length : 0,
-      cached_at: new Date().toISOString(),
-      size_kb: Math.round(JSON.stringify(data).length / 1024 * 100) / 100
-    };
-  }
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
 
+app.get(['/cache', '/replay/cache'], (req, res) => {
+  const stats = dataStore.cache.getStats();
   res.json({
-    cache_entries: Object.keys(dataStore.replayCache).length,
-    total_size_mb: Math.round(Object.values(dataStore.replayCache).reduce((sum, data) =>
-      sum + JSON.stringify(data).length, 0) / (1024 * 1024) * 100) / 100,
-    entries: cacheInfo
+    cache_entries: stats.entries,
+    total_size_mb: stats.size_mb,
+    stats,
+    entries: dataStore.cache.describe()
   });
 });
 
-app.post('/replay/cache/clear', (req, res) => {
-  const cacheSize = Object.keys(dataStore.replayCache).length;
-  dataStore.replayCache = {};
+app.post(['/cache/clear', '/replay/cache/clear'], (req, res) => {
+  const symbol = (req.query.symbol || (req.body && req.body.symbol) || '').toUpperCase();
+  const cacheSize = symbol ? dataStore.cache.invalidate(symbol) : dataStore.cache.clear();
 
   res.json({
     message: `Cleared ${cacheSize} cache entries`,
@@ -678,6 +4768,185 @@ app.post('/replay/cache/clear', (req, res) => {
   });
 });
 
+app.get('/replay/sessions', (req, res) => {
+  res.json(replayManager.list(getClientId(req))
+    .filter(session => isEntitled(req, session.symbol))
+    .map(session => replayManager.describe(session)));
+});
+
+app.post('/replay/sessions', (req, res) => {
+  const data = req.body || {};
+  const symbol = dataStore.resolveSymbol(data.symbol);
+  const errors = symbol && !isEntitled(req, symbol) ? [`Unknown symbol: ${symbol}`] : replayManager.validate(data);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid replay session', details: errors });
+  }
+
+  const client = getClientId(req);
+  if (!replayManager.hasCapacity(client)) {
+    return res.status(429).json({ error: `At most ${replayManager.maxSessionsPerClient} replay sessions per client` });
+  }
+
+  const session = replayManager.create(data, client);
+  res.status(201).json(replayManager.describe(session));
+});
+
+app.get('/replay/sessions/:id', (req, res) => {
+  const session = replayManager.get(req.params.id, getClientId(req));
+  if (!session || !isEntitled(req, session.symbol)) {
+    return res.status(404).json({ error: `Replay session ${req.params.id} not found` });
+  }
+  res.json(replayManager.describe(session));
+});
+
+app.post('/replay/sessions/:id/:action', (req, res) => {
+  const session = replayManager.get(req.params.id, getClientId(req));
+  if (!session || !isEntitled(req, session.symbol)) {
+    return res.status(404).json({ error: `Replay session ${req.params.id} not found` });
+  }
+
+  const data = req.body || {};
+  switch (req.params.action) {
+    case 'play':
+      if (data.speed !== undefined) {
+        const speed = replayManager.parseSpeed(data.speed);
+        if (speed === null) {
+          return res.status(400).json({ error: `speed must be a number between 0 and ${replayManager.maxSpeed}` });
+        }
+        replayManager.setSpeed(session, speed);
+      }
+      replayManager.play(session);
+      break;
+    case 'pause':
+      replayManager.pause(session);
+      break;
+    case 'speed': {
+      const speed = replayManager.parseSpeed(data.speed);
+      if (speed === null) {
+        return res.status(400).json({ error: `speed must be a number between 0 and ${replayManager.maxSpeed}` });
+      }
+      replayManager.setSpeed(session, speed);
+      break;
+    }
+    case 'step': {
+      const bars = data.bars !== undefined ? parseInt(data.bars, 10) : 1;
+      if (!Number.isInteger(bars) || bars < 1) {
+        return res.status(400).json({ error: 'bars must be a positive integer' });
+      }
+      replayManager.step(session, bars);
+      break;
+    }
+    case 'seek': {
+      const time = parseTimestamp(data.time);
+      if (time === null) {
+        return res.status(400).json({ error: 'time must be a unix timestamp or ISO date' });
+      }
+      replayManager.seek(session, time);
+      break;
+    }
+    default:
+      return res.status(404).json({ error: `Unknown replay action: ${req.params.action}` });
+  }
+
+  res.json(replayManager.describe(session));
+});
+
+app.delete('/replay/sessions/:id', (req, res) => {
+  const session = replayManager.get(req.params.id, getClientId(req));
+  if (!session || !isEntitled(req, session.symbol)) {
+    return res.status(404).json({ error: `Replay session ${req.params.id} not found` });
+  }
+
+  replayManager.remove(session.id);
+  res.json({ message: `Replay session ${session.id} closed` });
+});
+
+app.get('/export', (req, res) => {
+  const names = String(req.query.symbols || req.query.symbol || '').split(',').map(name => name.trim()).filter(Boolean);
+  const resolution = req.query.resolution || '5';
+  const fromTime = parseInt(req.query.from || '0');
+  const replaySession = req.query.replay_session ? replayManager.get(req.query.replay_session, getClientId(req)) : null;
+  const toTime = Math.min(
+    parseInt(req.query.to || Math.floor(Date.now() / 1000)),
+    replaySession ? replaySession.cursor : Infinity
+  );
+  const countback = parseCountback(req.query.countback);
+  const format = (req.query.format || 'csv').toLowerCase();
+  const timezone = req.query.timezone || null;
+  const align = (req.query.align || 'outer').toLowerCase();
+  const gzip = ['true', '1'].includes(String(req.query.gzip || '').toLowerCase());
+
+  if (names.length === 0) {
+    return res.status(400).json({ s: 'error', errmsg: 'symbols is required' });
+  }
+  if (names.length > MAX_EXPORT_SYMBOLS) {
+    return res.status(400).json({ s: 'error', errmsg: `At most ${MAX_EXPORT_SYMBOLS} symbols per export` });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ s: 'error', errmsg: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (timezone && !historyExporter.isValidTimezone(timezone)) {
+    return res.status(400).json({ s: 'error', errmsg: `timezone "${timezone}" is not a valid IANA timezone` });
+  }
+  if (!['outer', 'inner'].includes(align)) {
+    return res.status(400).json({ s: 'error', errmsg: 'align must be outer or inner' });
+  }
+  if (req.query.replay_session && !replaySession) {
+    return res.status(404).json({ s: 'error', errmsg: `Replay session ${req.query.replay_session} not found` });
+  }
+
+  const series = [];
+  for (const name of names) {
+    const symbol = dataStore.resolveSymbol(name) || name.toUpperCase();
+    if (!dataStore.symbols[symbol] || !isEntitled(req, symbol)) {
+      return res.status(404).json({ s: 'error', errmsg: `Symbol ${name} not found` });
+    }
+    if (!dataStore.isResolutionSupported(symbol, resolution)) {
+      return res.status(400).json({ s: 'error', errmsg: `Unsupported resolution ${resolution} for ${symbol}` });
+    }
+    if (replaySession && replaySession.symbol !== symbol) {
+      return res.status(400).json({ s: 'error', errmsg: `Replay session ${replaySession.id} is for ${replaySession.symbol}, not ${symbol}` });
+    }
+    if (series.some(entry => entry.symbol === symbol)) continue;
+
+    let converter;
+    try {
+      converter = createPriceConverter(req, symbol, resolution, toTime);
+    } catch (error) {
+      return res.status(400).json({ s: 'error', errmsg: error.message });
+    }
+
+    const history = dataStore.historicalData[symbol]
+      ? dataStore.getHistoryBars(symbol, resolution, fromTime, toTime, countback)
+      : { bars: [] };
+    series.push({ symbol, bars: history.bars, converter: converter.converted ? converter : null });
+  }
+
+  if (format === 'json' && series.every(entry => entry.bars.length === 0)) {
+    return res.json({ s: 'no_data' });
+  }
+
+  const normalized = dataStore.normalizeResolution(resolution);
+  const fileName = `${series.map(entry => entry.symbol.replace(/[^A-Za-z0-9_.-]/g, '_')).join('-')}_${normalized}` +
+    `.${EXPORT_FORMATS[format].extension}${gzip ? '.gz' : ''}`;
+  res.set('Content-Type', gzip ? 'application/gzip' : EXPORT_FORMATS[format].contentType);
+  res.attachment(fileName);
+
+  const { stream, stats } = historyExporter.createStream(series, { format, timezone, inner: align === 'inner' });
+  Object.assign(res.locals.logFields, { symbols: series.map(entry => entry.symbol), resolution: normalized, format, gzip });
+  stream.on('end', () => { res.locals.logFields.rows = stats.rows; });
+
+  const streams = gzip ? [stream, zlib.createGzip(), res] : [stream, res];
+  pipeline(...streams, (error) => {
+    for (const [symbol, count] of Object.entries(stats.bars)) {
+      barsServed.inc({ symbol: getMetricSymbol(symbol), resolution: normalized }, count);
+    }
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      req.log.error('Export failed', { error, rows: stats.rows });
+    }
+  });
+});
+
 app.get('/data/:symbol.json', (req, res) => {
   const symbol = req.params.symbol.toUpperCase();
   if (dataStore.historicalData[symbol]) {
@@ -693,10 +4962,11 @@ app.get('/data', (req, res) => {
     if (dataStore.historicalData[symbol]) {
       const bars = dataStore.historicalData[symbol];
       const barCount = bars.length;
-      const latestTime = Math.max(...bars.map(b => b.time));
+      const latestTime = bars[bars.length - 1].time;
       availableSymbols[symbol] = {
         bars: barCount,
-        timeframe: `${dataStore.baseTimeframe} minutes`,
+        timeframe: dataStore.getBaseResolution(symbol),
+        source_resolutions: dataStore.getSourceResolutions(symbol),
         latest_timestamp: latestTime,
         latest_date: new Date(latestTime * 1000).toISOString(),
         url: `/data/${symbol}.json`
@@ -707,7 +4977,7 @@ app.get('/data', (req, res) => {
   res.json({
     available_symbols: availableSymbols,
     base_timeframe: `${dataStore.baseTimeframe} minutes`,
-    supported_resolutions: ['1', '5', '15', '30', '60', '240', '1D', '1W', '1M'],
+    supported_resolutions: dataStore.getAllSupportedResolutions(),
     total_symbols: Object.keys(availableSymbols).length,
     replay_features: {
       cache_enabled: true,
@@ -724,9 +4994,12 @@ app.get('/debug/:symbol', (req, res) => {
     symbol: symbol,
     symbol_exists: !!dataStore.symbols[symbol],
     data_exists: !!dataStore.historicalData[symbol],
+    base_resolution: dataStore.getBaseResolution(symbol),
+    source_resolutions: dataStore.getSourceResolutions(symbol),
+    load_reports: dataStore.loadReports[symbol] || {},
     current_time: Math.floor(Date.now() / 1000),
     current_time_readable: new Date().toISOString(),
-    replay_cache_entries: Object.keys(dataStore.replayCache).filter(k => k.includes(symbol)).length
+    replay_cache_entries: dataStore.cache.count(symbol)
   };
 
   if (dataStore.historicalData[symbol]) {
@@ -738,12 +5011,16 @@ app.get('/debug/:symbol', (req, res) => {
     debugInfo.first_bar_readable = bars[0] ? new Date(bars[0].time * 1000).toISOString() : null;
     debugInfo.last_bar_readable = bars[bars.length - 1] ? new Date(bars[bars.length - 1].time * 1000).toISOString() : null;
     debugInfo.sample_bars = bars.slice(0, 5);
+    const qualityReports = dataStore.qualityReports[symbol] || {};
+    const baseReport = qualityReports[dataStore.getBaseResolution(symbol)];
     debugInfo.data_quality = {
-      has_gaps: false,
+      has_gaps: baseReport ? baseReport.issues.gap > 0 : false,
+      missing_bars: baseReport ? baseReport.missing_bars : 0,
+      reports: qualityReports,
       avg_volume: recent.reduce((sum, b) => sum + b.volume, 0) / recent.length,
       price_range: {
-        min: Math.min(...recent.map(b => b.low)),
-        max: Math.max(...recent.map(b => b.high))
+        min: recent.reduce((min, b) => Math.min(min, b.low), Infinity),
+        max: recent.reduce((max, b) => Math.max(max, b.high), -Infinity)
       }
     };
   }
@@ -751,62 +5028,283 @@ app.get('/debug/:symbol', (req, res) => {
   res.json(debugInfo);
 });
 
-app.post('/admin/add_symbol', (req, res) => {
-  const data = req.body;
+app.get('/admin/symbols', (req, res) => {
+  const symbols = dataStore.getListedSymbols().map(symbol => ({
+    symbol,
+    ...dataStore.symbols[symbol],
+    bars: dataStore.historicalData[symbol] ? dataStore.historicalData[symbol].length : 0
+  }));
+
+  res.json({ count: symbols.length, symbols });
+});
+
+app.get('/admin/symbols/:symbol', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!dataStore.symbols[symbol]) {
+    return res.status(404).json({ error: `Symbol ${symbol} not found` });
+  }
+
+  res.json({
+    symbol,
+    ...dataStore.symbols[symbol],
+    bars: dataStore.historicalData[symbol] ? dataStore.historicalData[symbol].length : 0,
+    source_resolutions: dataStore.getSourceResolutions(symbol)
+  });
+});
+
+app.post(['/admin/symbols', '/admin/add_symbol'], (req, res) => {
+  const data = req.body || {};
 
-  const requiredFields = ['symbol', 'name', 'exchange', 'type'];
-  if (!requiredFields.every(field => data[field])) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (!data.symbol || !/^[A-Za-z0-9._-]+$/.test(data.symbol)) {
+    return res.status(400).json({ error: 'symbol is required and may only contain letters, digits, ".", "_" and "-"' });
   }
 
   const symbol = data.symbol.toUpperCase();
-  dataStore.symbols[symbol] = {
-    name: data.name,
-    exchange: data.exchange,
-    type: data.type,
-    session: data.session || '24x7',
-    timezone: data.timezone || 'UTC',
-    minmov: data.minmov || 1,
-    pricescale: data.pricescale || 100,
-    has_intraday: data.has_intraday !== false,
-    has_daily: data.has_daily !== false,
-    has_weekly_and_monthly: data.has_weekly_and_monthly !== false,
-    data_status: data.data_status || 'streaming'
-  };
+  if (dataStore.symbols[symbol]) {
+    return res.status(409).json({ error: `Symbol ${symbol} already exists` });
+  }
+
+  const config = dataStore.buildSymbolConfig(data);
+  const errors = dataStore.validateSymbolConfig(config, symbol);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid symbol configuration', details: errors });
+  }
+
+  try {
+    dataStore.commitSymbols({ ...dataStore.symbols, [symbol]: config });
+  } catch (error) {
+    req.log.error('Failed to save symbol', { symbol, error });
+    return res.status(500).json({ error: `Failed to save symbol ${symbol}` });
+  }
+
+  dataStore.loadSymbolData(symbol);
+
+  res.status(201).json({
+    message: `Symbol ${symbol} added successfully`,
+    symbol: { symbol, ...config },
+    bars: dataStore.historicalData[symbol].length
+  });
+});
+
+app.put('/admin/symbols/:symbol', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  const existing = dataStore.symbols[symbol];
+  if (!existing) {
+    return res.status(404).json({ error: `Symbol ${symbol} not found` });
+  }
+
+  const config = dataStore.buildSymbolConfig(req.body || {}, existing);
+  const errors = dataStore.validateSymbolConfig(config, symbol);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid symbol configuration', details: errors });
+  }
+
+  try {
+    dataStore.commitSymbols({ ...dataStore.symbols, [symbol]: config });
+  } catch (error) {
+    req.log.error('Failed to save symbol', { symbol, error });
+    return res.status(500).json({ error: `Failed to save symbol ${symbol}` });
+  }
+
+  const dataFields = ['native_resolutions', 'expression', 'generator', 'quality', 'import'];
+  if (dataFields.some(field => JSON.stringify(config[field]) !== JSON.stringify(existing[field]))) {
+    dataStore.loadSymbolData(symbol);
+    dataStore.emit('data', symbol);
+  }
+  if (config.session !== existing.session || config.timezone !== existing.timezone) {
+    delete dataStore.aggregates[symbol];
+  }
+  dataStore.cache.invalidate(symbol);
+
+  res.json({ message: `Symbol ${symbol} updated successfully`, symbol: { symbol, ...config } });
+});
+
+app.delete('/admin/symbols/:symbol', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!dataStore.symbols[symbol]) {
+    return res.status(404).json({ error: `Symbol ${symbol} not found` });
+  }
+
+  const dependents = dataStore.getDerivedDependents(symbol);
+  const saved = dependents.filter(dependent => !dependent.transient).map(dependent => dependent.symbol);
+  if (saved.length > 0) {
+    return res.status(409).json({ error: `Symbol ${symbol} is used by derived symbols: ${saved.join(', ')}` });
+  }
+
+  const symbols = { ...dataStore.symbols };
+  delete symbols[symbol];
+
+  try {
+    dataStore.commitSymbols(symbols);
+  } catch (error) {
+    req.log.error('Failed to delete symbol', { symbol, error });
+    return res.status(500).json({ error: `Failed to delete symbol ${symbol}` });
+  }
+
+  for (const dependent of dependents) dataStore.removeDerived(dependent.symbol);
+  dataStore.derived.delete(symbol);
+  dataStore.removeSymbolData(symbol);
+
+  res.json({ message: `Symbol ${symbol} deleted successfully` });
+});
+
+app.post('/admin/symbols/:symbol/bars', express.text({ type: ['text/*', 'application/x-ndjson'], limit: BODY_LIMIT }), (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!dataStore.symbols[symbol]) {
+    return res.status(404).json({ error: `Symbol ${symbol} not found` });
+  }
+
+  if (dataStore.isDerived(symbol)) {
+    return res.status(400).json({ error: `Symbol ${symbol} is derived from ${dataStore.symbols[symbol].expression} and cannot accept uploads` });
+  }
+
+  const resolution = dataStore.normalizeResolution(req.query.resolution || dataStore.getBaseResolution(symbol));
+  if (!resolution) {
+    return res.status(400).json({ error: `Invalid resolution: ${req.query.resolution}` });
+  }
+
+  const mode = req.query.mode || 'merge';
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+  }
+
+  const options = dataStore.getImportOptions(symbol, req.query);
+  let items;
+  let rowOffset = 1;
+  try {
+    if (typeof req.body === 'string') {
+      const format = req.query.format || (req.is('application/x-ndjson') ? 'ndjson' : 'csv');
+      ({ items, rowOffset } = dataStore.parseSourceText(req.body, format, options));
+    } else {
+      ({ items, rowOffset } = dataStore.parseSourceText(JSON.stringify(req.body || []), 'json', options));
+    }
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse upload: ${error.message}` });
+  }
+  const { bars, rejected } = dataStore.parseBars(items, rowOffset);
+
+  let replaceRange = null;
+  if (mode === 'replace' && (bars.length > 0 || (req.query.from && req.query.to))) {
+    // Uploads may be unsorted, and spreading a large upload into Math.min would overflow the stack.
+    const times = bars.map(bar => bar.time);
+    replaceRange = {
+      from: req.query.from ? parseInt(req.query.from) : times.reduce((min, time) => Math.min(min, time), Infinity),
+      to: req.query.to ? parseInt(req.query.to) : times.reduce((max, time) => Math.max(max, time), -Infinity)
+    };
+  }
+
+  const result = dataStore.mergeBars(symbol, resolution, bars, replaceRange);
+  req.log.info('Ingested bars', { symbol, resolution, mode, bars: bars.length, rejected: rejected.length });
+
+  let file = null;
+  if (req.query.persist !== 'false') {
+    try {
+      file = dataStore.saveSourceData(symbol, resolution);
+    } catch (error) {
+      req.log.error('Failed to persist bars', { symbol, resolution, error });
+      return res.status(500).json({ error: `Bars merged in memory but could not be saved: ${error.message}` });
+    }
+  }
 
-  res.json({ message: `Symbol ${symbol} added successfully` });
+  res.json({
+    symbol,
+    resolution,
+    mode,
+    received: items.length,
+    accepted: bars.length,
+    rejected: rejected.length,
+    ...result,
+    replace_range: replaceRange,
+    file,
+    rejected_rows: rejected.slice(0, 100)
+  });
+});
+
+app.get('/admin/events', (req, res) => {
+  const symbol = (req.query.symbol || '').toUpperCase();
+  const fromTime = parseInt(req.query.from || '0');
+  const toTime = req.query.to ? parseInt(req.query.to) : Infinity;
+
+  const events = eventStore.list(symbol, fromTime, toTime);
+  res.json({ count: events.length, events });
+});
+
+app.post('/admin/events', (req, res) => {
+  const data = req.body || {};
+  const symbol = dataStore.resolveSymbol(data.symbol, { create: false }) || (data.symbol || '').toUpperCase();
+
+  if (!dataStore.symbols[symbol]) {
+    return res.status(400).json({ error: `Unknown symbol: ${symbol}` });
+  }
+
+  const errors = eventStore.validate(data);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid event', details: errors });
+  }
+
+  const event = eventStore.add(symbol, data);
+  res.status(201).json({ message: `Event ${event.id} added for ${symbol}`, event });
+});
+
+app.put('/admin/events/:id', (req, res) => {
+  const errors = eventStore.validate(req.body || {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid event', details: errors });
+  }
+
+  const event = eventStore.update(req.params.id, req.body || {});
+  if (!event) {
+    return res.status(404).json({ error: `Event ${req.params.id} not found` });
+  }
+
+  res.json({ message: `Event ${event.id} updated`, event });
+});
+
+app.delete('/admin/events/:id', (req, res) => {
+  const event = eventStore.remove(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: `Event ${req.params.id} not found` });
+  }
+
+  res.json({ message: `Event ${event.id} deleted`, event });
+});
+
+app.use((error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+  (req.log || logger).log(status >= 500 ? 'error' : 'warn', 'Request failed', {
+    path: req.path,
+    status,
+    error,
+    ...(status >= 500 ? { stack: error.stack } : {})
+  });
+  if (res.headersSent) return next(error);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : error.message });
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log('Starting Enhanced TradingView UDF Data Feed Server with Bar Replay Support...');
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Base timeframe: ${dataStore.baseTimeframe} minutes`);
-  console.log('\n🎬 BAR REPLAY FEATURES:');
-  console.log('  ✅ Enhanced logging for replay requests');
-  console.log('  ✅ Replay data caching for performance');
-  console.log('  ✅ Dedicated replay endpoint');
-  console.log('  ✅ Cache management endpoints');
-  console.log('  ✅ Modern visible_plots_set field');
-  console.log('\nAvailable endpoints:');
-  console.log('  GET  /config - UDF Configuration');
-  console.log('  GET  /symbols - Symbol information');
-  console.log('  GET  /symbol_info - Symbol info for groups');
-  console.log('  GET  /search - Symbol search');
-  console.log('  GET  /history - Historical data (with replay support)');
-  console.log('  GET  /replay/history - Dedicated replay endpoint');
-  console.log('  GET  /quotes - Real-time quotes');
-  console.log('  GET  /time - Server time');
-  console.log('  GET  /health - Health check (with replay info)');
-  console.log('  GET  /replay/cache - Replay cache information');
-  console.log('  POST /replay/cache/clear - Clear replay cache');
-  console.log('  GET  /data - List available data files');
-  console.log('  GET  /data/<symbol>.json - Direct data file access');
-  console.log('  GET  /debug/<symbol> - Enhanced debug with replay info');
-  console.log('  POST /admin/add_symbol - Add new symbols');
-  console.log('  GET  /favicon.ico - Favicon handler');
-  console.log('\nSupported resolutions:', ['1', '5', '15', '30', '60', '240', '1D', '1W', '1M']);
-  console.log('Loaded symbols:', Object.keys(dataStore.symbols));
-  console.log('Data files available:', Object.keys(dataStore.historicalData));
-  console.log('Replay cache initialized:', Object.keys(dataStore.replayCache).length, 'entries');
+const server = app.listen(PORT, () => {
+  const cacheStats = dataStore.cache.getStats();
+  logger.info('TradingView UDF data feed server started', {
+    port: Number(PORT),
+    url: `http://localhost:${PORT}`,
+    base_timeframe: dataStore.baseTimeframe,
+    symbols: Object.keys(dataStore.symbols).length,
+    data_loaded: Object.keys(dataStore.historicalData).length,
+    resolutions: dataStore.getAllSupportedResolutions(),
+    market_simulator: marketSimulator.getStats().enabled,
+    auth: authManager.enabled,
+    rate_limits: rateLimiter.enabled,
+    history_cache: {
+      max_entries: cacheStats.max_entries,
+      max_size_mb: cacheStats.max_size_mb,
+      ttl_seconds: cacheStats.ttl_seconds
+    },
+    log_level: logger.level
+  });
 });
+
+streamingServer.attach(server);
+
+if ((process.env.MARKET_SIMULATOR || 'false').toLowerCase() === 'true') {
+  marketSimulator.start();
+}